@@ -0,0 +1,95 @@
+/**
+ * AnimeXin Player Controller - Automation Toggles
+ * A master switch and one switch per automated action, in two layers:
+ * - global preferences `automation: { enabled, serverPreference, introSkip, fullscreen, unmute }`
+ *   (outro navigation keeps its existing `autoNavigate` preference)
+ * - series settings `automation: { ... }` with only the switches that differ
+ *
+ * A feature runs when both master switches are on and the most specific layer
+ * that sets it says so; unset switches are on. Shared by the content script,
+ * the popup and the background worker (toolbar badge).
+ */
+
+const AUTOMATION_FEATURES = {
+  serverPreference: 'Preferred server',
+  introSkip: 'Intro skip',
+  fullscreen: 'Fullscreen',
+  unmute: 'Unmute',
+  outroNavigation: 'Next episode at outro'
+};
+
+const AUTOMATION_BADGES = {
+  on: { text: '🎬', color: '#667eea' },
+  partial: { text: '🎬', color: '#ff9800' },
+  off: { text: 'OFF', color: '#757575' }
+};
+
+class AutomationToggles {
+  /**
+   * Keep only boolean switches for known keys
+   */
+  static normalize(layer) {
+    const clean = {};
+    if (!layer || typeof layer !== 'object') return clean;
+    ['enabled', ...Object.keys(AUTOMATION_FEATURES)].forEach((key) => {
+      if (typeof layer[key] === 'boolean') clean[key] = layer[key];
+    });
+    return clean;
+  }
+
+  /**
+   * Global switches, with outro navigation read from `autoNavigate`
+   */
+  static globalLayer(globals) {
+    const layer = AutomationToggles.normalize(globals?.automation);
+    if (typeof globals?.autoNavigate === 'boolean') layer.outroNavigation = globals.autoNavigate;
+    return layer;
+  }
+
+  /**
+   * -> { enabled, globalEnabled, seriesEnabled, features, values, sources } where `features`
+   * is what runs, `values` the switches before the master switches and `sources` the
+   * layer each value came from ('global', 'series' or null for the default)
+   */
+  static resolve(globals, seriesSettings) {
+    const globalLayer = AutomationToggles.globalLayer(globals);
+    const seriesLayer = AutomationToggles.normalize(seriesSettings?.automation);
+    const globalEnabled = globalLayer.enabled !== false;
+    const seriesEnabled = seriesLayer.enabled !== false;
+    const enabled = globalEnabled && seriesEnabled;
+
+    const features = {};
+    const values = {};
+    const sources = {};
+    Object.keys(AUTOMATION_FEATURES).forEach((feature) => {
+      let value = true;
+      sources[feature] = null;
+      if (feature in globalLayer) {
+        value = globalLayer[feature];
+        sources[feature] = 'global';
+      }
+      if (feature in seriesLayer) {
+        value = seriesLayer[feature];
+        sources[feature] = 'series';
+      }
+      values[feature] = value;
+      features[feature] = enabled && value;
+    });
+    return { enabled, globalEnabled, seriesEnabled, features, values, sources };
+  }
+
+  static state(resolved) {
+    if (!resolved.enabled) return 'off';
+    return Object.values(resolved.features).every(Boolean) ? 'on' : 'partial';
+  }
+
+  /**
+   * Short summary for titles and notifications, e.g. "Fullscreen, Unmute off"
+   */
+  static describe(resolved) {
+    if (!resolved.globalEnabled) return 'Automation off everywhere';
+    if (!resolved.seriesEnabled) return 'Automation off for this series';
+    const off = Object.keys(AUTOMATION_FEATURES).filter(feature => !resolved.features[feature]);
+    return off.length === 0 ? 'Automation on' : `${off.map(feature => AUTOMATION_FEATURES[feature]).join(', ')} off`;
+  }
+}
@@ -1,10 +1,15 @@
 /**
  * AnimeXin Player Controller - Background Service Worker
- * Handles extension lifecycle and provides enhanced error reporting
+ * Handles extension lifecycle, watch history and provides enhanced error reporting
  */
 
+importScripts('history.js', 'automation.js');
+
 class BackgroundService {
   constructor() {
+    this.watchHistory = new WatchHistory();
+    // Automation state per tab, reported by the content script; applied again when a load completes
+    this.automationBadges = new Map();
     this.setupEventListeners();
     this.initializeExtension();
   }
@@ -20,6 +25,15 @@ class BackgroundService {
       this.handleTabUpdate(tabId, changeInfo, tab);
     });
 
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.automationBadges.delete(tabId);
+    });
+
+    // Browser-wide shortcuts (chrome://extensions/shortcuts)
+    chrome.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+
     // Error reporting
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       this.handleMessage(request, sender, sendResponse);
@@ -67,18 +81,14 @@ class BackgroundService {
   }
 
   handleTabUpdate(tabId, changeInfo, tab) {
+    // A new page reports its own automation state
+    if (changeInfo.status === 'loading') this.automationBadges.delete(tabId);
+
     // Enable extension icon only on AnimeXin pages
     if (changeInfo.status === 'complete' && tab.url) {
       if (tab.url.includes('animexin.dev')) {
         chrome.action.enable(tabId);
-        chrome.action.setBadgeText({ 
-          text: '🎬',
-          tabId: tabId 
-        });
-        chrome.action.setBadgeBackgroundColor({ 
-          color: '#667eea',
-          tabId: tabId 
-        });
+        this.applyAutomationBadge(tabId, this.automationBadges.get(tabId) || { state: 'on' });
       } else {
         chrome.action.disable(tabId);
         chrome.action.setBadgeText({ 
@@ -89,6 +99,35 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Badge for automation on (🎬), partly off (orange 🎬) or off (OFF)
+   */
+  applyAutomationBadge(tabId, badge) {
+    const { text, color } = AUTOMATION_BADGES[badge.state] || AUTOMATION_BADGES.on;
+    chrome.action.setBadgeText({ text, tabId }).catch(() => {});
+    chrome.action.setBadgeBackgroundColor({ color, tabId }).catch(() => {});
+    chrome.action.setTitle({
+      title: `AnimeXin Player Controller${badge.title ? ` - ${badge.title}` : ''}`,
+      tabId
+    }).catch(() => {});
+  }
+
+
+  /**
+   * Relay a shortcut to the AnimeXin page in the active tab (top frame only)
+   */
+  async handleCommand(command, tab) {
+    try {
+      const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+      if (!target || !target.url || !target.url.includes('animexin.dev')) return;
+
+      await chrome.tabs.sendMessage(target.id, { action: 'runHotkey', hotkey: command }, { frameId: 0 });
+    } catch (error) {
+      // Content script not loaded in this tab yet
+      console.log('Shortcut not delivered:', command, error?.message || error);
+    }
+  }
+
   handleMessage(request, sender, sendResponse) {
     switch (request.action) {
       case 'reportError':
@@ -113,6 +152,33 @@ class BackgroundService {
         });
         break;
         
+      case 'setAutomationBadge':
+        if (sender.tab?.id !== undefined && AUTOMATION_BADGES[request.state]) {
+          const badge = { state: request.state, title: String(request.title || '').substring(0, 100) };
+          this.automationBadges.set(sender.tab.id, badge);
+          this.applyAutomationBadge(sender.tab.id, badge);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'logWatchProgress':
+        this.watchHistory.record(request.entry)
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        break;
+
+      case 'getWatchHistory':
+        this.watchHistory.list()
+          .then((history) => sendResponse({ success: true, history }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        break;
+
+      case 'clearWatchHistory':
+        this.watchHistory.clear()
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        break;
+        
       default:
         sendResponse({ success: false, error: 'Unknown action' });
     }
@@ -0,0 +1,183 @@
+/**
+ * AnimeXin Player Controller - Settings Backup
+ * Export of every stored series profile to one JSON file, and import with:
+ * - validation through the same rules the page uses (SettingsStore.validateSeriesName,
+ *   SettingsStore.validateTimeValue, time specs, segments, overrides, server rules,
+ *   automation switches)
+ * - a conflict mode for series that already exist: keep, overwrite or newest wins
+ * - a dry run that reports what would change before anything is written
+ *
+ * Used by the popup.
+ */
+
+const BACKUP_FORMAT = 'animexin-settings';
+const BACKUP_VERSION = 1;
+const BACKUP_CONFLICT_MODES = ['keep', 'overwrite', 'newest'];
+const BACKUP_MAX_BYTES = 2 * 1024 * 1024;
+
+class SettingsBackup {
+  /**
+   * { [series]: settings } -> { backup: export document, skipped: [{ series, reason }] };
+   * profiles that would fail the import checks are left out and listed in `skipped`
+   */
+  static build(allSeries) {
+    const series = {};
+    const skipped = [];
+    Object.keys(allSeries || {}).sort().forEach((name) => {
+      const { profile, errors } = SettingsBackup.validateProfile(allSeries[name]);
+      if (errors.length === 0) series[name] = profile;
+      else skipped.push({ series: name, reason: errors.join(', ') });
+    });
+
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      series
+    };
+    return { backup, skipped };
+  }
+
+  /**
+   * Free text from a file (pack names, authors): no control characters or markup, 60 characters
+   */
+  static cleanText(value) {
+    return String(value || '').replace(/[\u0000-\u001f<>]/g, '').trim().substring(0, 60);
+  }
+
+  static fileName(date = new Date()) {
+    return `animexin-settings-${date.toISOString().slice(0, 10)}.json`;
+  }
+
+  /**
+   * Sanitized copy of one profile plus the reasons it cannot be imported
+   */
+  static validateProfile(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { profile: null, errors: ['not an object'] };
+    }
+
+    const profile = {};
+    const isTime = (value) => value !== null && value !== '' && !isNaN(Number(value)) &&
+      Number(value) >= 0 && Number(value) <= 86400;
+
+    if (raw.introSkipStart !== undefined) {
+      if (isTime(raw.introSkipStart)) profile.introSkipStart = SettingsStore.validateTimeValue(raw.introSkipStart);
+      else errors.push('introSkipStart is not a time');
+    }
+
+    const outroStart = SettingsLayers.read(raw, 'outroStart');
+    if (outroStart !== null) profile.outroStart = outroStart;
+    else if (raw.outroStart !== undefined) errors.push('outroStart is not a time');
+
+    const list = (field, normalize) => {
+      if (raw[field] === undefined) return;
+      if (!Array.isArray(raw[field])) {
+        errors.push(`${field} is not a list`);
+        return;
+      }
+      const normalized = normalize(raw[field]);
+      if (normalized.length !== raw[field].length) errors.push(`${field} has invalid entries`);
+      profile[field] = normalized;
+    };
+    list('segments', SkipSegments.normalizeList);
+    list('overrides', SettingsLayers.normalizeList);
+    if (raw.serverPriority !== undefined && raw.serverPriority !== null) {
+      // normalizeList falls back to the defaults for an unusable list, so check the rules directly
+      list('serverPriority', rules => rules.map(ServerPriority.normalizeRule).filter(Boolean));
+    }
+
+    if (raw.playbackRate !== undefined && raw.playbackRate !== null) {
+      const playbackRate = PlaybackSpeed.normalize(raw.playbackRate);
+      if (playbackRate !== null) profile.playbackRate = playbackRate;
+      else errors.push('playbackRate is not a speed');
+    }
+
+    if (raw.volume !== undefined && raw.volume !== null) {
+      const volume = VolumeMemory.normalizeState(raw.volume);
+      if (volume) profile.volume = volume;
+      else errors.push('volume is not a volume level');
+    }
+
+    if (raw.automation && typeof raw.automation === 'object') {
+      const automation = AutomationToggles.normalize(raw.automation);
+      if (Object.keys(automation).length > 0) profile.automation = automation;
+    }
+
+    // Credit for settings merged from a timing pack (packs.js)
+    if (raw.pack && typeof raw.pack === 'object') {
+      profile.pack = { name: SettingsBackup.cleanText(raw.pack.name), author: SettingsBackup.cleanText(raw.pack.author) };
+    }
+
+    profile.timestamp = Number.isFinite(Number(raw.timestamp)) ? Math.max(0, Number(raw.timestamp)) : 0;
+    if (typeof raw.version === 'string') profile.version = raw.version.substring(0, 20);
+
+    return { profile, errors };
+  }
+
+  /**
+   * File text -> { entries: [{ series, profile }], errors: [{ series, reason }] }.
+   * Throws when the file is not a settings export at all.
+   */
+  static parse(text) {
+    if (typeof text !== 'string' || text.length > BACKUP_MAX_BYTES) {
+      throw new Error('File is empty or too large');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!data || data.format !== BACKUP_FORMAT || !data.series || typeof data.series !== 'object') {
+      throw new Error('File is not an AnimeXin settings export');
+    }
+    if (!(data.version <= BACKUP_VERSION)) {
+      throw new Error(`Export version ${data.version} is newer than this extension understands`);
+    }
+
+    const entries = [];
+    const errors = [];
+    Object.keys(data.series).forEach((name) => {
+      const series = SettingsStore.validateSeriesName(name);
+      if (series !== name) {
+        errors.push({ series: name, reason: 'invalid series name' });
+        return;
+      }
+      const { profile, errors: problems } = SettingsBackup.validateProfile(data.series[name]);
+      if (problems.length > 0) {
+        errors.push({ series: name, reason: problems.join(', ') });
+        return;
+      }
+      entries.push({ series, profile });
+    });
+    return { entries, errors };
+  }
+
+  /**
+   * Decide per series what an import would do: 'add', 'overwrite', 'keep' or 'unchanged'
+   */
+  static plan(entries, existing, mode) {
+    const conflictMode = BACKUP_CONFLICT_MODES.includes(mode) ? mode : 'keep';
+    return entries.map(({ series, profile }) => {
+      const current = existing[series];
+      if (!current) return { series, profile, action: 'add' };
+
+      const { profile: currentProfile } = SettingsBackup.validateProfile(current);
+      if (JSON.stringify(currentProfile) === JSON.stringify(profile)) {
+        return { series, profile, action: 'unchanged' };
+      }
+
+      let overwrite = conflictMode === 'overwrite';
+      if (conflictMode === 'newest') overwrite = profile.timestamp > (Number(current.timestamp) || 0);
+      return { series, profile, action: overwrite ? 'overwrite' : 'keep' };
+    });
+  }
+
+  static count(plan, action) {
+    return plan.filter(item => item.action === action).length;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * AnimeXin Player Bridge Core
+ * Shared in-frame bridge used by every mirror host script
+ * (dm-bridge.js, ok-bridge.js, rumble-bridge.js, mega-bridge.js).
+ * Each host script calls AnimeXinBridge.create({ provider, ... }) with its own selectors.
+ *
+ * Communicates with parent (animexin.dev) via postMessage using a namespaced schema:
+ * - Incoming from parent: { source:'animexin-controller', type:'dm_bridge_command', action, data }
+ * - Outgoing to parent:   { source:'animexin-controller', type:'dm_bridge_event',   event, data, provider }
+ */
+
+(function () {
+  if (window.AnimeXinBridge) return;
+
+  const MESSAGE_SOURCE = 'animexin-controller';
+  const ALLOWED_PARENT_RE = /(^|\.)animexin\.dev$/i;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.provider - Provider id reported with every event
+   * @param {string} [options.videoSelector] - Selector for the host's <video> element
+   * @param {string} [options.fullscreenSelector] - Preferred fullscreen target (keeps host controls visible)
+   * @param {string} [options.playButtonSelector] - Poster/overlay clicked when play arrives before <video> exists
+   * @param {Object} [options.commands] - Host-specific commands: { [action]: ({ video, data, emit }) => void }
+   */
+  function create(options = {}) {
+    const provider = options.provider || 'unknown';
+    const videoSelector = options.videoSelector || 'video';
+
+    let videoEl = null;
+    let lastTimeEventTs = 0;
+
+    function findVideo() {
+      if (videoEl && !videoEl.isConnected) videoEl = null;
+      if (videoEl) return videoEl;
+      videoEl = document.querySelector(videoSelector);
+      if (videoEl) attachVideoListeners(videoEl);
+      return videoEl;
+    }
+
+    function attachVideoListeners(v) {
+      try {
+        v.addEventListener('play', () => emit('play'));
+        v.addEventListener('pause', () => emit('pause'));
+        v.addEventListener('ended', () => emit('ended'));
+        v.addEventListener('error', () => emit('error', { code: v.error?.code || 0 }));
+        v.addEventListener('durationchange', () => emit('durationchange', { duration: v.duration || 0 }));
+        v.addEventListener('ratechange', () => emit('ratechange', { rate: v.playbackRate }));
+        // `user` tells changes made by the viewer from autoplay muting by the host player
+        v.addEventListener('volumechange', () => emit('volume', {
+          volume: v.volume,
+          muted: v.muted,
+          user: !!navigator.userActivation?.isActive
+        }));
+        v.addEventListener('timeupdate', () => {
+          const now = performance.now();
+          if (now - lastTimeEventTs < 250) return; // throttle
+          lastTimeEventTs = now;
+          emit('timeupdate', { time: v.currentTime || 0 });
+        });
+      } catch (_) {}
+    }
+
+    function emit(eventName, data) {
+      try {
+        window.parent.postMessage({
+          source: MESSAGE_SOURCE,
+          type: 'dm_bridge_event',
+          event: eventName,
+          data: data || {},
+          provider
+        }, '*');
+      } catch (_) {}
+    }
+
+    function respond(eventName, data) {
+      emit(eventName, data);
+    }
+
+    function clickPlayOverlay() {
+      try {
+        if (!options.playButtonSelector) return;
+        const btn = document.querySelector(options.playButtonSelector);
+        if (btn) btn.click();
+      } catch (_) {}
+    }
+
+    function handleCommand(cmd, data) {
+      const v = findVideo();
+      // Some commands don't require video
+      try {
+        switch (cmd) {
+          case 'play':
+            if (!v) {
+              clickPlayOverlay();
+              return;
+            }
+            v.play().catch(() => {});
+            break;
+          case 'pause':
+            if (!v) return;
+            v.pause();
+            break;
+          case 'seek': {
+            if (!v) return;
+            const t = Math.max(0, Math.floor(Number(data?.time) || 0));
+            v.currentTime = t;
+            respond('current_time', t);
+            break;
+          }
+          case 'unmute': {
+            if (!v) return;
+            try {
+              v.muted = false;
+              if (typeof data?.volume === 'number') {
+                const vol = Math.max(0, Math.min(1, data.volume));
+                v.volume = vol;
+              }
+              v.play?.().catch(() => {});
+              respond('unmuted', { volume: v.volume, muted: v.muted });
+            } catch (_) {}
+            break;
+          }
+          case 'set_volume': {
+            if (!v) return;
+            try {
+              if (!Number.isFinite(data?.volume)) return;
+              v.volume = Math.max(0, Math.min(1, data.volume));
+              respond('volume', { volume: v.volume });
+            } catch (_) {}
+            break;
+          }
+          case 'set_muted': {
+            if (!v) return;
+            try {
+              // Unlike unmute, never starts playback or touches the volume
+              v.muted = !!data?.muted;
+              respond('volume', { volume: v.volume, muted: v.muted });
+            } catch (_) {}
+            break;
+          }
+          case 'set_playback_rate': {
+            if (!v) return;
+            const rate = Number(data?.rate);
+            if (!Number.isFinite(rate)) return;
+            // Browsers reject rates outside roughly 0.0625-16; stay well inside
+            v.playbackRate = Math.max(0.25, Math.min(4, rate));
+            respond('ratechange', { rate: v.playbackRate });
+            break;
+          }
+          case 'get_current_time':
+            if (v) respond('current_time', v.currentTime || 0);
+            break;
+          case 'get_duration':
+            if (v) respond('duration', v.duration || 0);
+            break;
+          case 'get_player_state':
+            if (v) respond('player_state', { isPlaying: !v.paused });
+            break;
+          case 'ping':
+            // Parent may have missed the initial announcement
+            respond('apiready');
+            break;
+          case 'fullscreen':
+            requestFullscreenInFrame();
+            break;
+          case 'arm_fullscreen':
+            armFullscreenOnGesture();
+            break;
+          default: {
+            const extra = options.commands && options.commands[cmd];
+            if (typeof extra === 'function') extra({ video: v, data, emit: respond });
+            break;
+          }
+        }
+      } catch (_) {}
+    }
+
+    function findFullscreenTarget() {
+      const preferred = options.fullscreenSelector && document.querySelector(options.fullscreenSelector);
+      return preferred || findVideo() || document.documentElement;
+    }
+
+    function requestFullscreenInFrame() {
+      try {
+        const target = findFullscreenTarget();
+        const p = target && (target.requestFullscreen ? target.requestFullscreen() : (target.webkitRequestFullscreen ? target.webkitRequestFullscreen() : null));
+        if (p && typeof p.then === 'function') {
+          p.then(() => emit('fs_success')).catch(() => {
+            emit('fs_blocked');
+            armFullscreenOnGesture();
+          });
+        } else {
+          // Non-promise path
+          emit('fs_success');
+        }
+      } catch (_) {
+        emit('fs_blocked');
+        armFullscreenOnGesture();
+      }
+    }
+
+    function armFullscreenOnGesture() {
+      try {
+        const handler = () => {
+          requestFullscreenInFrame();
+        };
+        window.addEventListener('click', handler, { once: true, capture: true });
+      } catch (_) {}
+    }
+
+    // Listen for commands from parent (top page on animexin.dev)
+    window.addEventListener('message', (evt) => {
+      try {
+        const { origin, data } = evt;
+        if (!data || typeof data !== 'object') return;
+        if (data.source !== MESSAGE_SOURCE || data.type !== 'dm_bridge_command') return;
+
+        // Optional origin check (best effort)
+        try {
+          const u = new URL(origin);
+          if (!ALLOWED_PARENT_RE.test(u.hostname)) return;
+        } catch (_) {}
+
+        handleCommand(data.action, data.data);
+      } catch (_) {}
+    }, { passive: true });
+
+    // Attempt initial discovery
+    findVideo();
+
+    // Observe DOM for late-mounted <video>
+    const mo = new MutationObserver(() => { findVideo(); });
+    mo.observe(document.documentElement || document.body, { childList: true, subtree: true });
+
+    // Announce readiness so parent can start syncing
+    emit('apiready');
+
+    return { emit, findVideo };
+  }
+
+  window.AnimeXinBridge = { create };
+})();
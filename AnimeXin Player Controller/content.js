@@ -13,19 +13,36 @@ class AnimeXinPlayerController {
     // Register message listener ASAP so popup can reach us immediately
     this.setupMessageListener();
 
-    this.currentSeries = this.getCurrentSeries();
+    // Slug from the URL; the settings profile key is resolved from it once aliases load
+    this.pageSeries = this.getCurrentSeries();
+    this.currentSeries = SeriesKey.resolve(this.pageSeries, {});
+    this.episodeInfo = this.getCurrentEpisodeInfo();
+    this.currentEpisode = this.episodeInfo ? this.episodeInfo.episode : null;
     this.playerFrame = null;
     this.html5Video = null;
+    this.playerAdapter = null;
+    this.playerMessageHandler = null;
+    this.providers = createDefaultProviderRegistry();
     this.isPlaying = false;
     this.currentTime = 0;
     this.duration = 0;
     this.introSkipStart = 0;
-    this.outroSkipDuration = 0;
-    this.outroStartSeconds = 0;
+    this.outroStart = 0;
+    this.timingSources = {};
+    this.timingWarnings = new Set();
+    this.seriesSettings = {};
+    this.globalDefaults = null;
+    this.skipSegments = [];
+    this.firedSegments = new Set();
+    this.mutedSegmentKey = null;
     this.retryCount = 0;
     this.maxRetries = 5;
     this.retryDelay = 1000;
-    this.nextEpisodeLink = null;
+    this.nextEpisodeUrl = null;
+    this.prevEpisodeUrl = null;
+    this.episodeLinks = new Map();
+    this.episodeTotal = null;
+    this.skippedEpisodes = [];
     this.floatingUI = null;
     this.playerReady = false;
     this.serverPreferAttempted = false;
@@ -33,12 +50,38 @@ class AnimeXinPlayerController {
     this.serverLastAppliedValue = null;
     this.serverApplyTimestamp = 0;
     this.serverRefreshTimer = null;
+    this.applyingServerChange = false;
+    this.globalServerRules = null;
+    this.seriesServerRules = null;
     this.fullscreenRequested = false;
     this.isTopFrame = window.top === window;
     this.deferredFullscreen = false;
     this.introSeekApplied = false;
+    this.seekWaitGeneration = null;
+    this.pendingResumeTime = 0;
+    this.timeWaiters = new Set();
+    this.previewLeadSeconds = 3;
+    this.playbackRate = 1;
+    this.speedAppliedGeneration = null;
+    this.episodeEnded = false;
+    this.lastTrackedTime = null;
+    this.unreportedWatchSeconds = 0;
+    this.historyReportedAt = 0;
+    this.historyReportedPosition = null;
     this.performanceMonitor = new PerformanceMonitor();
     this.errorReporter = new ErrorReporter();
+    this.settingsStore = new SettingsStore();
+    this.failover = new MirrorFailover(this);
+    this.playbackResume = new PlaybackResume(this);
+    this.hotkeys = new HotkeyHandler(this);
+    this.nextCountdown = new NextEpisodeCountdown(this);
+    this.introDetector = new IntroDetector(this);
+    this.outroDetector = new OutroDetector(this);
+    this.volumeMemory = new VolumeMemory(this);
+    this.sleepTimer = new SleepTimer(this);
+    this.autoNavigate = true;
+    this.globalSettings = {};
+    this.automation = AutomationToggles.resolve({}, {});
     
     this.init();
   }
@@ -50,12 +93,18 @@ class AnimeXinPlayerController {
     try {
       this.performanceMonitor.mark('init-start');
       
+      await this.migrateLegacySettings();
       await this.loadSettings();
-      this.tryPreferServer();
+      this.watchSettingsChanges();
+      await this.restorePlaybackPosition();
+      this.bindHistoryFlush();
+      if (this.isTopFrame) this.hotkeys.bind();
+      this.sleepTimer.arm();
+      if (this.automation.enabled) this.tryPreferServer();
       await this.findPlayer();
+      // Manual editing is not automation: the panel shows whether or not automation is paused
       this.createFloatingUI();
       this.startMonitoring();
-      this.setupMessageListener();
       
       this.performanceMonitor.mark('init-end');
       this.performanceMonitor.measure('initialization', 'init-start', 'init-end');
@@ -70,34 +119,62 @@ class AnimeXinPlayerController {
   }
 
   /**
-   * Enhanced series detection with validation
+   * Enhanced series detection with validation (see series.js for the slug rules)
    */
   getCurrentSeries() {
     try {
-      const path = new URL(window.location.href).pathname.replace(/^\/+|\/+$/g, '');
-      const base = path.split('/')[0];
-      const idx = base.indexOf('-episode-');
-      const series = idx > 0 ? base.substring(0, idx) : base;
-      
-      // Validate series name
-      return this.validateSeriesName(series);
+      return SeriesKey.fromPath(new URL(window.location.href).pathname);
     } catch (error) {
       this.errorReporter.reportError('Series detection failed', error);
       return 'unknown';
     }
   }
 
+  /**
+   * Episode number and language suffix from the URL slug, falling back to the page title
+   */
+  getCurrentEpisodeInfo() {
+    try {
+      const fromUrl = EpisodeParser.parseUrl(window.location.href);
+      const heading = document.querySelector('h1.entry-title')?.textContent || document.title;
+      const fromTitle = EpisodeParser.parseTitle(heading);
+      if (!fromUrl && !fromTitle) return null;
+
+      return {
+        // Without a parsable slug there is nothing to build neighbouring URLs from
+        series: fromUrl ? fromUrl.series : null,
+        suffix: fromUrl ? fromUrl.suffix : '',
+        languages: fromUrl ? fromUrl.languages : [],
+        kind: fromUrl ? fromUrl.kind : null,
+        episode: fromUrl ? fromUrl.episode : fromTitle.episode,
+        total: fromTitle ? fromTitle.total : null
+      };
+    } catch (error) {
+      // Runs from the constructor, before the error reporter exists
+      console.warn('Episode detection failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Validate and sanitize series name
    */
   validateSeriesName(series) {
-    if (!series || typeof series !== 'string') return 'unknown';
-    
-    // Remove any potentially dangerous characters
-    const sanitized = series.replace(/[^a-zA-Z0-9\-_]/g, '').toLowerCase();
-    
-    // Ensure reasonable length
-    return sanitized.length > 0 && sanitized.length <= 100 ? sanitized : 'unknown';
+    // Shared with settings import so stored slugs follow one rule
+    return SettingsStore.validateSeriesName(series);
+  }
+
+  /**
+   * One-time sweep of legacy page localStorage settings into extension storage
+   */
+  async migrateLegacySettings() {
+    try {
+      // Every frame shares the page's localStorage; let the top frame do the sweep
+      if (!this.isTopFrame) return;
+      await this.settingsStore.migrateFromLocalStorage(window.localStorage);
+    } catch (error) {
+      this.errorReporter.reportError('Legacy settings migration failed', error);
+    }
   }
 
   /**
@@ -105,15 +182,13 @@ class AnimeXinPlayerController {
    */
   async loadSettings() {
     try {
-      const raw = localStorage.getItem(`animexin_${this.currentSeries}`);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        
-        // Validate and sanitize settings
-        this.introSkipStart = this.validateTimeValue(parsed.introSkipStart);
-        this.outroSkipDuration = this.validateTimeValue(parsed.outroSkipDuration);
-        this.outroStartSeconds = this.validateTimeValue(parsed.outroStartSeconds);
+      const globals = await this.settingsStore.getGlobal();
+      this.currentSeries = SeriesKey.resolve(this.pageSeries, globals);
+      const stored = (await this.settingsStore.getSeries(this.currentSeries)) || (await this.adoptPageProfile());
+      if (stored) {
+        this.applySettings(stored);
       }
+      this.applyGlobalSettings(globals);
     } catch (error) {
       this.errorReporter.reportError('Settings loading failed', error, {
         series: this.currentSeries
@@ -121,67 +196,387 @@ class AnimeXinPlayerController {
     }
   }
 
+  /**
+   * A profile saved under this page's own slug before a rule or alias pointed it
+   * elsewhere is copied to the resolved key, so enabling a rule loses nothing
+   */
+  async adoptPageProfile() {
+    if (this.pageSeries === this.currentSeries) return null;
+    const profile = await this.settingsStore.getSeries(this.pageSeries);
+    if (!profile) return null;
+
+    await this.settingsStore.setSeries(this.currentSeries, profile);
+    console.log(`Settings for ${this.pageSeries} copied to ${this.currentSeries}`);
+    return profile;
+  }
+
+  /**
+   * Follow an alias or rule change made while the page is open
+   */
+  async switchSeries(series) {
+    this.currentSeries = series;
+    this.applySettings((await this.settingsStore.getSeries(series)) || (await this.adoptPageProfile()) || {});
+    if (this.floatingUI) {
+      this.floatingUI.setSeries(series);
+      this.floatingUI.updateSettings(this.introSkipStart, this.outroStart);
+      this.floatingUI.renderSegments();
+      this.floatingUI.renderSpeed();
+    }
+    console.log('Series settings now follow', series);
+  }
+
+  /**
+   * Validate and apply a stored settings object
+   */
+  applySettings(settings) {
+    this.seriesSettings = settings;
+    this.seriesServerRules = Array.isArray(settings.serverPriority) ? settings.serverPriority : null;
+    this.skipSegments = SkipSegments.normalizeList(settings.segments);
+    this.applyTimingLayers();
+    this.applyAutomation();
+  }
+
+  /**
+   * Resolve the master and per-feature switches from the global and series layers
+   */
+  applyAutomation() {
+    this.automation = AutomationToggles.resolve(this.globalSettings, this.seriesSettings);
+    this.autoNavigate = this.automation.features.outroNavigation;
+    if (!this.automation.enabled && this.mutedSegmentKey) {
+      this.sendPlayerCommand('set_muted', { muted: false });
+      this.mutedSegmentKey = null;
+    }
+    // Nothing applies a queued seek while paused, and it would block position saving
+    if (!this.automation.enabled) this.pendingResumeTime = 0;
+    if (this.floatingUI) this.floatingUI.renderAutomation();
+    this.reportAutomationState();
+  }
+
+  isAutomated(feature) {
+    return this.automation.features[feature] === true;
+  }
+
+  /**
+   * Toolbar badge for this tab: on, partly off or off (top frame only)
+   */
+  reportAutomationState() {
+    try {
+      if (!this.isTopFrame || !chrome?.runtime?.sendMessage) return;
+      chrome.runtime.sendMessage({
+        action: 'setAutomationBadge',
+        state: AutomationToggles.state(this.automation),
+        title: AutomationToggles.describe(this.automation)
+      }).catch(() => {
+        // Ignore if background script is not available
+      });
+    } catch (error) {
+      this.errorReporter.reportError('Automation badge update failed', error);
+    }
+  }
+
+  /**
+   * Change this series' switches; null removes a switch so the global one applies
+   */
+  async updateSeriesAutomation(patch) {
+    try {
+      const stored = (await this.settingsStore.getSeries(this.currentSeries)) || {};
+      const automation = AutomationToggles.normalize({ ...stored.automation, ...patch });
+      this.seriesSettings = await this.settingsStore.updateSeries(this.currentSeries, {
+        automation,
+        timestamp: Date.now()
+      });
+      this.applyAutomation();
+    } catch (error) {
+      this.errorReporter.reportError('Automation settings saving failed', error, {
+        series: this.currentSeries
+      });
+    }
+  }
+
+  /**
+   * Resolve intro/outro timings for this episode from the global, series and override layers
+   */
+  applyTimingLayers() {
+    const { values, sources } = SettingsLayers.resolve(this.globalDefaults, this.seriesSettings, this.currentEpisode);
+    this.introSkipStart = this.validateTimeValue(values.introSkipStart);
+    this.outroStart = TimeSpec.normalize(values.outroStart) ?? 0;
+    this.timingSources = sources;
+    this.validateTimings();
+  }
+
+  /**
+   * Once the duration is known, report outro and segment times that do not fit
+   * this episode (each once per page); they are ignored rather than applied
+   */
+  validateTimings() {
+    const duration = this.duration;
+    if (!(duration > 0)) return;
+
+    const problems = [];
+    if (this.outroStart && !this.getOutroStart(duration)) {
+      problems.push(`outro ${TimeSpec.format(this.outroStart)}`);
+    }
+    this.skipSegments.forEach((segment) => {
+      if (!SkipSegments.bounds(segment, duration)) problems.push(SkipSegments.describe(segment).toLowerCase());
+    });
+
+    const fresh = problems.filter(problem => !this.timingWarnings.has(problem));
+    if (fresh.length === 0) return;
+    fresh.forEach(problem => this.timingWarnings.add(problem));
+    console.warn('Timings outside this episode:', fresh);
+    this.showUserNotification(`Ignored for this ${this.formatTime(duration)} episode: ${fresh.join('; ')}`);
+  }
+
+  /**
+   * Apply extension-wide preferences
+   */
+  applyGlobalSettings(globals) {
+    this.globalServerRules = Array.isArray(globals?.serverPriority) ? globals.serverPriority : null;
+    this.playbackResume.applyGlobalSettings(globals);
+    this.hotkeys.applyGlobalSettings(globals);
+    this.nextCountdown.applyGlobalSettings(globals);
+    this.introDetector.applyGlobalSettings(globals);
+    this.outroDetector.applyGlobalSettings(globals);
+    this.volumeMemory.applyGlobalSettings(globals);
+    this.globalDefaults = globals?.defaults || null;
+    this.globalSettings = globals || {};
+    this.applyTimingLayers();
+    this.applyAutomation();
+  }
+
+  /**
+   * Resume where the viewer stopped last time (top frame owns the episode URL)
+   */
+  async restorePlaybackPosition() {
+    if (!this.isTopFrame) return;
+    await this.playbackResume.restore();
+  }
+
+  /**
+   * Fan a new playback position out to resume, watched-time tracking and history
+   */
+  recordPlaybackPosition() {
+    this.playbackResume.record(this.currentTime, this.duration);
+    this.trackWatchedTime(this.currentTime);
+    this.reportWatchProgress();
+  }
+
+  /**
+   * Count seconds actually played; seeks and mirror switches are not watched time
+   */
+  trackWatchedTime(time) {
+    if (this.lastTrackedTime !== null) {
+      const delta = time - this.lastTrackedTime;
+      if (delta > 0 && delta <= 5) this.unreportedWatchSeconds += delta;
+    }
+    this.lastTrackedTime = time;
+  }
+
+  /**
+   * Send progress to the background watch history (throttled unless forced)
+   */
+  reportWatchProgress(force = false) {
+    try {
+      if (!this.isTopFrame || !chrome?.runtime?.sendMessage) return;
+      if (!force && Date.now() - this.historyReportedAt < 15000) return;
+      // Mid-resume the reported time is the start of the video, not the viewer's position
+      if (this.pendingResumeTime > 0) return;
+
+      const watchedDelta = Math.round(this.unreportedWatchSeconds);
+      if (watchedDelta <= 0 && this.currentTime === this.historyReportedPosition) return;
+
+      this.historyReportedAt = Date.now();
+      this.historyReportedPosition = this.currentTime;
+      this.unreportedWatchSeconds = 0;
+
+      chrome.runtime.sendMessage({
+        action: 'logWatchProgress',
+        entry: {
+          series: this.currentSeries,
+          episode: this.currentEpisode,
+          url: window.location.href,
+          nextUrl: this.nextEpisodeUrl,
+          position: this.currentTime,
+          duration: this.duration,
+          watchedDelta,
+          completed: this.episodeEnded || this.playbackResume.isFinished(this.currentTime, this.duration)
+        }
+      }).catch(() => {
+        // Ignore if background script is not available
+      });
+    } catch (error) {
+      this.errorReporter.reportError('Watch history report failed', error);
+    }
+  }
+
+  bindHistoryFlush() {
+    window.addEventListener('pagehide', () => this.reportWatchProgress(true), { passive: true });
+  }
+
+  /**
+   * Seek to a saved position, or queue it so it replaces the intro skip
+   */
+  resumeAt(time) {
+    const target = this.validateTimeValue(time);
+    if (target <= 0) return;
+
+    // Accepted from the resume prompt after automation was paused: nothing would apply a queued seek
+    if (this.introSeekApplied || !this.automation.enabled) {
+      this.seekTo(target);
+      this.showUserNotification(`Resumed at ${this.formatTime(target)}`);
+      return;
+    }
+    this.pendingResumeTime = target;
+    // Already playing means the play event has passed; start the seekable wait now
+    if (this.isPlaying) this.scheduleIntroSkip();
+  }
+
+  /**
+   * Pick up edits made in other tabs or the popup immediately
+   */
+  watchSettingsChanges() {
+    try {
+      this.settingsStore.onSeriesChanged((series, settings) => {
+        if (series !== this.currentSeries) return;
+        this.applySettings(settings || {});
+        if (this.floatingUI) {
+          this.floatingUI.updateSettings(this.introSkipStart, this.outroStart);
+          this.floatingUI.renderSegments();
+          this.floatingUI.renderSpeed();
+        }
+      });
+      this.settingsStore.onGlobalChanged((globals) => {
+        this.applyGlobalSettings(globals);
+        const series = SeriesKey.resolve(this.pageSeries, globals);
+        if (series !== this.currentSeries) {
+          this.switchSeries(series).catch((error) => {
+            this.errorReporter.reportError('Series switch failed', error, { series });
+          });
+        }
+        if (this.floatingUI) {
+          this.floatingUI.updateSettings(this.introSkipStart, this.outroStart);
+        }
+      });
+    } catch (error) {
+      this.errorReporter.reportError('Settings change subscription failed', error);
+    }
+  }
+
   /**
    * Validate time values to prevent injection attacks
    */
   validateTimeValue(value) {
-    const num = Number(value);
-    
     // Must be a valid number, non-negative, and reasonable (< 24 hours)
-    if (isNaN(num) || num < 0 || num > 86400) {
-      return 0;
-    }
-    
-    return Math.floor(num); // Ensure integer
+    return SettingsStore.validateTimeValue(value);
   }
 
   /**
-   * Save settings with validation
+   * Save settings with validation.
+   * scope: 'series' (default), 'global' (defaults for every series),
+   * 'from-episode' (this episode and later) or 'episode' (this episode only)
+   *
+   * The series and the defaults only get `fields`: the timings shown are the resolved
+   * ones, and an untouched value from an override or the defaults must stay in its layer.
    */
-  async saveSettings() {
+  async saveSettings(scope = 'series', fields = TIMING_FIELDS) {
     try {
-      const settings = {
+      const timings = {
         introSkipStart: this.validateTimeValue(this.introSkipStart),
-        outroSkipDuration: this.validateTimeValue(this.outroSkipDuration),
-        outroStartSeconds: this.validateTimeValue(this.outroStartSeconds),
+        outroStart: TimeSpec.normalize(this.outroStart) ?? 0
+      };
+
+      if (scope === 'episode' || scope === 'from-episode') {
+        await this.saveEpisodeOverride(timings, scope === 'episode');
+        return;
+      }
+
+      const edited = {};
+      fields.forEach((field) => {
+        edited[field] = timings[field];
+      });
+      if (Object.keys(edited).length === 0) {
+        console.log('Nothing changed to save for', scope === 'global' ? 'all series' : this.currentSeries);
+        return;
+      }
+
+      if (scope === 'global') {
+        const globals = await this.settingsStore.getGlobal();
+        const defaults = { ...globals.defaults, ...edited };
+        await this.settingsStore.updateGlobal({ defaults });
+        console.log('Default settings saved', defaults);
+        return;
+      }
+
+      const settings = {
+        ...edited,
         timestamp: Date.now(),
         version: '1.2.0'
       };
       
-      localStorage.setItem(`animexin_${this.currentSeries}`, JSON.stringify(settings));
+      // Merge so fields written by other contexts are preserved
+      await this.settingsStore.updateSeries(this.currentSeries, settings);
       console.log('Settings saved for', this.currentSeries, settings);
     } catch (error) {
       this.errorReporter.reportError('Settings saving failed', error, {
-        series: this.currentSeries
+        series: this.currentSeries,
+        scope
       });
+      // Callers tell the viewer; a failed save must not look like a saved one
+      throw error;
     }
   }
 
+  /**
+   * Store only the timings that differ from what the less specific layers
+   * already give this episode, so later series edits still reach it
+   */
+  async saveEpisodeOverride(timings, singleEpisode) {
+    const episode = this.currentEpisode;
+    if (episode === null) throw new Error('Episode number is unknown on this page');
+
+    const stored = (await this.settingsStore.getSeries(this.currentSeries)) || {};
+    const scope = { from: episode, to: singleEpisode ? episode : null };
+    const others = SettingsLayers.normalizeList(stored.overrides)
+      .filter(override => !SettingsLayers.sameScope(override, scope));
+    const inherited = SettingsLayers.resolve(this.globalDefaults, { ...stored, overrides: others }, episode).values;
+
+    const override = { ...scope };
+    TIMING_FIELDS.forEach((field) => {
+      if (timings[field] !== inherited[field]) override[field] = timings[field];
+    });
+
+    await this.settingsStore.updateSeries(this.currentSeries, {
+      overrides: SettingsLayers.upsert(others, override),
+      timestamp: Date.now(),
+      version: '1.2.0'
+    });
+    console.log('Override saved for', this.currentSeries, override);
+  }
+
   /**
    * Enhanced server preference with better error handling
    */
   tryPreferServer() {
     try {
+      if (!this.isAutomated('serverPreference')) return;
       const select = document.querySelector('select.mirror');
       if (!select || this.serverPreferAttempted || this.userServerOverride) return;
 
       if (!select.__animexinBound) {
         select.addEventListener('change', () => {
-          if (!this.serverPreferAttempted) this.userServerOverride = true;
+          // Only changes we did not dispatch ourselves count as a manual choice
+          if (!this.applyingServerChange) this.userServerOverride = true;
         }, { passive: true, once: false });
         select.__animexinBound = true;
       }
 
       const preferred = this.findPreferredOption(select);
       if (preferred && preferred !== select.selectedOptions[0]) {
-        select.value = preferred.value;
-        const evt = new Event('change', { bubbles: true });
-        select.dispatchEvent(evt);
-        this.serverLastAppliedValue = preferred.value;
-        this.serverApplyTimestamp = Date.now();
+        this.applyServerOption(select, preferred);
         if (this.serverRefreshTimer) clearTimeout(this.serverRefreshTimer);
         this.serverRefreshTimer = setTimeout(() => this.refreshServerIfStuck(), 2000);
       }
+      if (select.value) this.failover.watchLoad(select.value);
       this.serverPreferAttempted = true;
     } catch (error) {
       this.errorReporter.reportError('Server preference failed', error);
@@ -189,46 +584,52 @@ class AnimeXinPlayerController {
   }
 
   /**
-   * Find preferred server option with enhanced validation
+   * Select a server programmatically without it counting as a manual choice
    */
-  findPreferredOption(select) {
+  dispatchServerChange(select, value) {
+    this.applyingServerChange = true;
     try {
-      const opts = Array.from(select.options || []);
-      const norm = (text) => {
-        if (!text || typeof text !== 'string') return '';
-        return text.toLowerCase().replace(/\s+/g, ' ').trim();
-      };
-
-      // Priority 1: Hardsub English Dailymotion
-      let match = opts.find(o => {
-        const text = norm(o.textContent);
-        return text.includes('hardsub') && text.includes('english') && text.includes('dailymotion');
-      });
-      
-      if (match) return match;
-
-      // Priority 2: All Player Sub (often Dailymotion for older videos)
-      match = opts.find(o => {
-        const text = norm(o.textContent);
-        return text.includes('all player sub') && (text.includes('dailymotion') || true);
-      });
+      select.value = value;
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    } finally {
+      this.applyingServerChange = false;
+    }
+  }
 
-      if (match) return match;
+  applyServerOption(select, option) {
+    this.dispatchServerChange(select, option.value);
+    this.serverLastAppliedValue = option.value;
+    this.serverApplyTimestamp = Date.now();
+  }
 
-      // Priority 3: Hardsub English Ok.ru
-      match = opts.find(o => {
-        const text = norm(o.textContent);
-        return text.includes('hardsub') && text.includes('english') && 
-               (text.includes('ok.ru') || text.includes('ok'));
-      });
-      
-      if (match) return match;
+  /**
+   * Reset playback state before the failover engine swaps mirrors,
+   * so the new player resumes where the failed one stopped
+   */
+  prepareForMirrorSwitch(resumeTime) {
+    this.pendingResumeTime = this.validateTimeValue(resumeTime);
+    this.playerReady = false;
+    this.isPlaying = false;
+    this.currentTime = 0;
+    this.duration = 0;
+    this.introSeekApplied = false;
+  }
 
-      // Priority 4: Any Dailymotion
-      match = opts.find(o => norm(o.textContent).includes('dailymotion'));
-      if (match) return match;
+  /**
+   * Effective server rules: per-series override, else global list, else built-in order
+   */
+  getServerPriority() {
+    return new ServerPriority(this.seriesServerRules || this.globalServerRules);
+  }
 
-      return null;
+  /**
+   * Find preferred server option with enhanced validation
+   */
+  findPreferredOption(select) {
+    try {
+      // Mirrors that already failed for this episode are skipped
+      const options = Array.from(select.options || []).filter(o => !this.failover.hasFailed(o.value));
+      return this.getServerPriority().findPreferred(options);
     } catch (error) {
       this.errorReporter.reportError('Server option finding failed', error);
       return null;
@@ -249,15 +650,13 @@ class AnimeXinPlayerController {
         const alt = this.findAlternateOption(select, this.serverLastAppliedValue);
         if (alt) {
           // Switch to alternate then switch back after a brief delay to force reload
-          select.value = alt.value;
-          select.dispatchEvent(new Event('change', { bubbles: true }));
+          this.dispatchServerChange(select, alt.value);
           setTimeout(() => {
-            select.value = this.serverLastAppliedValue;
-            select.dispatchEvent(new Event('change', { bubbles: true }));
+            this.dispatchServerChange(select, this.serverLastAppliedValue);
           }, 500);
         } else {
           // No alternate, at least re-dispatch change
-          select.dispatchEvent(new Event('change', { bubbles: true }));
+          this.dispatchServerChange(select, current);
         }
       }
     } catch (error) {
@@ -268,12 +667,8 @@ class AnimeXinPlayerController {
   findAlternateOption(select, excludeValue) {
     try {
       const opts = Array.from(select.options || []);
-      const norm = (text) => {
-        if (!text || typeof text !== 'string') return '';
-        return text.toLowerCase().replace(/\s+/g, ' ').trim();
-      };
-      // Prefer switching to another Dailymotion or Ok option as alt
-      const alt = opts.find(o => o.value !== excludeValue && (norm(o.textContent).includes('dailymotion') || norm(o.textContent).includes('ok')));
+      // Prefer the next-best option from the priority list as alt
+      const alt = this.getServerPriority().rankOptions(opts).find(o => o.value !== excludeValue);
       return alt || opts.find(o => o.value !== excludeValue) || null;
     } catch (_) {
       return null;
@@ -288,8 +683,7 @@ class AnimeXinPlayerController {
       const maxAttempts = 60;
       let attempts = 0;
       let lastQueryTime = 0;
-      let cachedFrame = null;
-      let cachedVideo = null;
+      let cachedPlayer = null;
       
       const tick = () => {
         attempts++;
@@ -300,17 +694,13 @@ class AnimeXinPlayerController {
           // Cache DOM queries to reduce reflow - only query every 200ms
           const now = performance.now();
           if (now - lastQueryTime >= 200) {
-            // More targeted and efficient selectors
-            cachedFrame = document.querySelector('iframe[src*="dailymotion.com"]');
-            cachedVideo = document.querySelector('.player .video_view video') || 
-                         document.querySelector('video#video');
+            // Adapters are queried in priority order (iframes before local video)
+            cachedPlayer = this.providers.findPlayer(document);
             lastQueryTime = now;
           }
           
-          this.playerFrame = cachedFrame;
-          this.html5Video = cachedVideo;
-          
-          if (this.playerFrame || this.html5Video) {
+          if (cachedPlayer) {
+            this.setActivePlayer(cachedPlayer);
             this.setupPlayer();
             resolve();
             return;
@@ -334,54 +724,70 @@ class AnimeXinPlayerController {
     });
   }
 
+  /**
+   * Remember the active player and the adapter that drives it
+   */
+  setActivePlayer({ adapter, element }) {
+    this.playerAdapter = adapter;
+    this.playerFrame = adapter.kind === 'iframe' ? element : null;
+    this.html5Video = adapter.kind === 'video' ? element : null;
+  }
+
+  get playerElement() {
+    return this.playerFrame || this.html5Video;
+  }
+
   /**
    * Enhanced player setup with accessibility
    */
   setupPlayer() {
     try {
-      this.findNextEpisodeLink();
+      this.findEpisodeLinks();
 
-      if (this.playerFrame) {
+      const adapter = this.playerAdapter;
+      const element = this.playerElement;
+      if (!adapter || !element) return;
+
+      if (adapter.kind === 'iframe') {
         // Add accessibility attributes
-        this.playerFrame.setAttribute('aria-label', 'Video player');
-        this.playerFrame.setAttribute('role', 'application');
+        element.setAttribute('aria-label', 'Video player');
+        element.setAttribute('role', 'application');
         
-        window.addEventListener('message', this.handlePlayerMessage.bind(this), { passive: true });
-        this.playerFrame.addEventListener('load', () => {
+        if (!this.playerMessageHandler) {
+          this.playerMessageHandler = this.handlePlayerMessage.bind(this);
+          window.addEventListener('message', this.playerMessageHandler, { passive: true });
+        }
+
+        const onFrameReady = () => {
           this.playerReady = true;
           this.attachPlayerListeners();
-          // Initialize Dailymotion messaging compatibility
-          this.initDailymotionMessaging();
-        }, { passive: true });
+          try {
+            adapter.enableApi(element);
+          } catch (error) {
+            this.errorReporter.reportError('Player API enable failed', error, { provider: adapter.id });
+          }
+        };
+        element.addEventListener('load', onFrameReady, { passive: true });
         
-        if (this.playerFrame.contentWindow) {
-          this.playerReady = true;
-          this.attachPlayerListeners();
-          this.initDailymotionMessaging();
+        if (element.contentWindow) {
+          onFrameReady();
         }
-      }
-
-      if (this.html5Video) {
+      } else {
         // Add accessibility attributes
-        this.html5Video.setAttribute('aria-label', 'Anime episode video');
+        element.setAttribute('aria-label', 'Anime episode video');
         
-        const v = this.html5Video;
-        // Use passive listeners for all video events to improve scroll performance
-        v.addEventListener('play', () => this.handlePlay(), { passive: true });
-        v.addEventListener('pause', () => this.handlePause(), { passive: true });
-        v.addEventListener('timeupdate', () => this.handleTimeUpdate({ currentTime: v.currentTime }), { passive: true });
-        v.addEventListener('durationchange', () => this.handleDurationChange({ duration: v.duration }), { passive: true });
-        v.addEventListener('ended', () => this.handleEnded(), { passive: true });
+        adapter.bindEvents(element, (event) => this.handlePlayerEvent(event));
 
         // Only attach fullscreen gesture on top-frame HTML5 video
         if (this.isTopFrame) {
-          v.addEventListener('dblclick', () => {
+          element.addEventListener('dblclick', () => {
             this.requestFullscreen();
           }, { passive: true });
         }
         
-        if (!isNaN(v.duration)) this.duration = v.duration;
+        if (!isNaN(element.duration)) this.duration = element.duration;
         this.playerReady = true;
+        this.failover.markLoaded();
       }
 
       // Start monitoring with performance optimization
@@ -391,63 +797,6 @@ class AnimeXinPlayerController {
     }
   }
 
-  /**
-   * Dailymotion iframe compatibility: ensure API enabled and subscribe to events
-   */
-  initDailymotionMessaging() {
-    try {
-      if (!this.playerFrame || !this.isDailymotionFrame()) return;
-
-      // Ensure API and origin are present in iframe URL to enable postMessage API
-      this.ensureDailymotionApiEnabled(this.playerFrame);
-
-      const subscribe = (eventName) => {
-        const variants = [
-          { command: 'addEventListener', event: eventName },
-          { method: 'addEventListener', params: [eventName] }
-        ];
-        variants.forEach((payload) => {
-          try {
-            this.playerFrame.contentWindow.postMessage(payload, '*');
-          } catch (_) {}
-        });
-      };
-
-      ['apiready','play','pause','timeupdate','durationchange','ended'].forEach(subscribe);
-    } catch (error) {
-      this.errorReporter.reportError('Dailymotion messaging init failed', error);
-    }
-  }
-
-  isDailymotionFrame() {
-    try {
-      const src = this.playerFrame?.src || '';
-      return /dailymotion\.com/i.test(src);
-    } catch (_) {
-      return false;
-    }
-  }
-
-  ensureDailymotionApiEnabled(iframe) {
-    try {
-      const url = new URL(iframe.src, window.location.href);
-      let changed = false;
-      if (!url.searchParams.has('api')) {
-        url.searchParams.set('api', '1');
-        changed = true;
-      }
-      if (!url.searchParams.has('origin')) {
-        url.searchParams.set('origin', window.location.origin);
-        changed = true;
-      }
-      if (changed) {
-        iframe.src = url.toString();
-      }
-    } catch (_) {
-      // Ignore if we can't parse or set
-    }
-  }
-
   /**
    * Optimized player monitoring with better performance
    */
@@ -464,9 +813,9 @@ class AnimeXinPlayerController {
         return;
       }
       
-      // More efficient throttling using performance.now()
+      // About one media second per check, so faster playback is checked more often
       const now = performance.now();
-      if (now - lastTime < 1000) { // Exactly 1 second throttle
+      if (now - lastTime < 1000 / Math.max(1, this.playbackRate)) {
         rafId = requestAnimationFrame(monitor);
         return;
       }
@@ -480,6 +829,7 @@ class AnimeXinPlayerController {
         if (this.html5Video && this.isPlaying) {
           this.currentTime = this.html5Video.currentTime || 0;
         }
+        this.enforceSkipSegments();
         this.checkOutroSkip();
       } catch (error) {
         this.errorReporter.reportError('Player monitoring failed', error);
@@ -505,41 +855,10 @@ class AnimeXinPlayerController {
    */
   handlePlayerMessage(event) {
     try {
-      const { origin, data } = event;
-
-      if (!data || typeof data !== 'object') return;
+      if (!this.playerAdapter || !event.data || typeof event.data !== 'object') return;
 
-      // Path 1: Our DM bridge inside Dailymotion iframe
-      if (data.source === 'animexin-controller' && data.type === 'dm_bridge_event') {
-        const normalized = { event: data.event, data: data.data };
-        this.handlePlayerEvent(normalized);
-        return;
-      }
-
-      // Path 2: Native Dailymotion embed events
-      if (origin && /dailymotion\.com/i.test(origin)) {
-        let normalized = null;
-        if (data.event) {
-          normalized = { event: data.event, data: data.data || data };
-        } else if (data.type) {
-          normalized = { event: data.type, data: data.data || data };
-        } else if (data.name) {
-          normalized = { event: data.name, data: data.data || data };
-        }
-        if (!normalized) return;
-        if (normalized.event === 'timeupdate') {
-          const t = (normalized.data && (normalized.data.time ?? normalized.data.currentTime ?? normalized.data.position))
-            ?? (typeof normalized.data === 'number' ? normalized.data : undefined);
-          if (typeof t === 'number') normalized.data = { time: t };
-        }
-        if (normalized.event === 'durationchange' || normalized.event === 'duration') {
-          const d = (normalized.data && (normalized.data.duration ?? normalized.data.length))
-            ?? (typeof normalized.data === 'number' ? normalized.data : undefined);
-          if (typeof d === 'number') normalized.data = { duration: d };
-          normalized.event = 'durationchange';
-        }
-        this.handlePlayerEvent(normalized);
-      }
+      const normalized = this.playerAdapter.normalizeMessage(event);
+      if (normalized) this.handlePlayerEvent(normalized);
     } catch (error) {
       this.errorReporter.reportError('Player message handling failed', error);
     }
@@ -553,6 +872,10 @@ class AnimeXinPlayerController {
       switch (event.event) {
         case 'apiready':
           this.playerReady = true;
+          this.failover.markLoaded();
+          break;
+        case 'error':
+          this.failover.reportFailure('player error');
           break;
         case 'play':
           this.handlePlay();
@@ -562,107 +885,424 @@ class AnimeXinPlayerController {
           break;
         case 'timeupdate':
           if (event.data && typeof event.data.time === 'number') {
-            this.currentTime = this.validateTimeValue(event.data.time);
+            this.handleTimeUpdate({ currentTime: event.data.time });
           }
           break;
         case 'durationchange':
           if (event.data && typeof event.data.duration === 'number') {
-            this.duration = this.validateTimeValue(event.data.duration);
+            this.handleDurationChange({ duration: event.data.duration });
           }
           break;
         case 'current_time':
           if (typeof event.data === 'number') {
             this.currentTime = this.validateTimeValue(event.data);
+            this.timeWaiters.forEach(resolve => resolve(this.currentTime));
+            this.timeWaiters.clear();
+            this.recordPlaybackPosition();
+          }
+          break;
+        case 'duration':
+          if (typeof event.data === 'number') {
+            this.duration = this.validateTimeValue(event.data);
           }
           break;
-        case 'duration':
-          if (typeof event.data === 'number') {
-            this.duration = this.validateTimeValue(event.data);
-          }
+        case 'ended':
+          this.handleEnded();
+          break;
+        case 'player_state':
+          if (event.data && typeof event.data.isPlaying === 'boolean') {
+            this.isPlaying = event.data.isPlaying;
+          }
+          break;
+        case 'ratechange': {
+          const rate = PlaybackSpeed.normalize(event.data?.rate);
+          if (rate !== null) {
+            this.playbackRate = rate;
+            if (this.floatingUI) this.floatingUI.renderSpeed();
+          }
+          break;
+        }
+        case 'volume':
+        case 'unmuted':
+          this.volumeMemory.observe(event.data);
+          break;
+        case 'fingerprint':
+          this.introDetector.handleFingerprint(event.data);
+          break;
+        case 'fingerprint_unavailable':
+          this.introDetector.unavailable();
+          break;
+        case 'credits_samples':
+          this.outroDetector.handleSamples(event.data);
+          break;
+      }
+    } catch (error) {
+      this.errorReporter.reportError('Player event handling failed', error, {
+        event: event.event
+      });
+    }
+  }
+
+  /**
+   * Enhanced play handling with user feedback
+   */
+  handlePlay() {
+    try {
+      this.isPlaying = true;
+
+      // Skip intro (or resume a saved position) once seekable; also catches mirrors that never get there
+      this.scheduleIntroSkip();
+      this.applySeriesSpeed();
+      // A sleep timer that ran out while paused or loading pauses again
+      this.sleepTimer.handlePlay();
+      // Opt-in: fingerprint the opening minutes to find the intro (intro-detect.js)
+      this.introDetector.start();
+      // Opt-in: sample loudness and luminance near the end to find the credits (outro-detect.js)
+      this.outroDetector.start();
+    } catch (error) {
+      this.errorReporter.reportError('Play handling failed', error);
+    }
+  }
+
+  handlePause() {
+    this.isPlaying = false;
+  }
+
+  handleTimeUpdate(data) {
+    try {
+      if (data && typeof data.currentTime === 'number') {
+        this.currentTime = this.validateTimeValue(data.currentTime);
+      }
+      this.recordPlaybackPosition();
+      this.checkOutroSkip();
+    } catch (error) {
+      this.errorReporter.reportError('Time update handling failed', error);
+    }
+  }
+
+  handleDurationChange(data) {
+    try {
+      if (data && typeof data.duration === 'number') {
+        this.duration = this.validateTimeValue(data.duration);
+        this.validateTimings();
+      }
+    } catch (error) {
+      this.errorReporter.reportError('Duration change handling failed', error);
+    }
+  }
+
+  handleEnded() {
+    try {
+      this.episodeEnded = true;
+      this.playbackResume.flush();
+      this.reportWatchProgress(true);
+      if (this.autoNavigate) {
+        this.nextCountdown.start('ended');
+      } else if (this.floatingUI) {
+        this.floatingUI.showNextEpisodeButton();
+      }
+    } catch (error) {
+      this.errorReporter.reportError('End handling failed', error);
+    }
+  }
+
+  /**
+   * Enhanced outro checking with validation
+   */
+  checkOutroSkip() {
+    try {
+      if (!this.autoNavigate || !this.duration || this.duration <= 0) return;
+      
+      const outroStart = this.getOutroStart(this.duration);
+      
+      // The playhead moves further between checks at higher speeds
+      const tolerance = 0.5 * Math.max(1, this.playbackRate);
+      if (outroStart > 0 && this.currentTime >= (outroStart - tolerance) && !this.nextCountdown.active) {
+        console.log(`Outro detected at ${this.currentTime}s, counting down to next episode...`);
+        this.nextCountdown.start('outro');
+      }
+    } catch (error) {
+      this.errorReporter.reportError('Outro checking failed', error);
+    }
+  }
+
+  /**
+   * Apply the series' skip segments to the playhead. Each segment fires once per pass;
+   * rewinding before its start re-arms it, seeking into its middle does not.
+   */
+  enforceSkipSegments() {
+    try {
+      if (this.skipSegments.length === 0 || !this.automation.enabled) return;
+      // A queued resume seek owns the playhead until it lands
+      if (this.pendingResumeTime > 0) return;
+
+      const time = this.currentTime;
+      this.skipSegments.forEach((segment) => {
+        const bounds = SkipSegments.bounds(segment, this.duration);
+        if (bounds && time < bounds.start) this.firedSegments.delete(this.segmentKey(segment));
+      });
+
+      const segment = SkipSegments.at(this.skipSegments, time, this.duration);
+      const key = segment ? this.segmentKey(segment) : null;
+
+      if (this.mutedSegmentKey && this.mutedSegmentKey !== key) {
+        this.sendPlayerCommand('set_muted', { muted: false });
+        this.mutedSegmentKey = null;
+      }
+      if (!segment || this.firedSegments.has(key)) return;
+
+      switch (segment.action) {
+        case 'skip': {
+          const target = SkipSegments.bounds(segment, this.duration).end;
+          // An open-ended segment needs the duration before it can be skipped
+          if (!(target > 0) || target === Infinity) return;
+          this.seekTo(target);
+          this.currentTime = this.validateTimeValue(target);
+          this.showUserNotification(`Skipped ${SkipSegments.label(segment).toLowerCase()}`);
+          break;
+        }
+        case 'navigate':
+          if (this.autoNavigate) this.nextCountdown.start('outro');
+          break;
+        case 'mute':
+          this.sendPlayerCommand('set_muted', { muted: true });
+          this.mutedSegmentKey = key;
+          break;
+      }
+      this.firedSegments.add(key);
+    } catch (error) {
+      this.errorReporter.reportError('Skip segment enforcement failed', error);
+    }
+  }
+
+  segmentKey(segment) {
+    return `${segment.name}:${segment.start}`;
+  }
+
+  /**
+   * Replace this series' skip segments (floating UI edits)
+   */
+  async updateSegments(segments) {
+    try {
+      this.skipSegments = SkipSegments.normalizeList(segments);
+      await this.settingsStore.updateSeries(this.currentSeries, {
+        segments: this.skipSegments,
+        timestamp: Date.now()
+      });
+      if (this.floatingUI) this.floatingUI.renderSegments();
+    } catch (error) {
+      this.errorReporter.reportError('Skip segment saving failed', error, {
+        series: this.currentSeries
+      });
+    }
+  }
+
+  /**
+   * Outro start in seconds for an episode of the given duration; 0 when not
+   * configured, not resolvable yet, or outside the part after the intro.
+   * Credits found in live detection mode stand in while no outro is configured.
+   */
+  getOutroStart(duration) {
+    const start = this.outroStart ? TimeSpec.resolve(this.outroStart, duration) : this.outroDetector.liveStart();
+    if (!start) return 0;
+    if (duration > 0 && (start <= this.introSkipStart || start >= duration)) return 0;
+    return start;
+  }
+
+  /**
+   * Shared entry point for in-page hotkeys and chrome.commands
+   */
+  runHotkeyAction(action) {
+    try {
+      switch (action) {
+        case 'skip-intro':
+          this.skipIntroNow();
+          break;
+        case 'next-episode':
+          this.navigateToNextEpisode();
+          break;
+        case 'previous-episode':
+          this.navigateToPreviousEpisode();
+          break;
+        case 'seek-forward':
+          this.seekBy(5);
+          break;
+        case 'seek-back':
+          this.seekBy(-5);
+          break;
+        case 'seek-forward-long':
+          this.seekBy(85);
+          break;
+        case 'seek-back-long':
+          this.seekBy(-85);
+          break;
+        case 'toggle-panel':
+          this.toggleFloatingUI();
+          break;
+        case 'toggle-auto-nav':
+          this.toggleAutoNavigate();
+          break;
+        case 'mark-intro':
+          this.markTiming('intro');
+          break;
+        case 'mark-outro':
+          this.markTiming('outro');
           break;
-        case 'ended':
-          this.handleEnded();
+        case 'speed-up':
+          this.setPlaybackRate(PlaybackSpeed.step(this.playbackRate, 1));
           break;
-        case 'player_state':
-          if (event.data && typeof event.data.isPlaying === 'boolean') {
-            this.isPlaying = event.data.isPlaying;
-          }
+        case 'speed-down':
+          this.setPlaybackRate(PlaybackSpeed.step(this.playbackRate, -1));
           break;
+        case 'speed-reset':
+          this.setPlaybackRate(1);
+          break;
+        default:
+          return false;
       }
+      return true;
     } catch (error) {
-      this.errorReporter.reportError('Player event handling failed', error, {
-        event: event.event
-      });
+      this.errorReporter.reportError('Hotkey action failed', error, { action });
+      return false;
     }
   }
 
   /**
-   * Enhanced play handling with user feedback
+   * Change the speed of the active player; its ratechange report confirms it
    */
-  handlePlay() {
-    try {
-      this.isPlaying = true;
-
-      // Skip intro if configured
-      if (this.introSkipStart > 0) {
-        this.scheduleIntroSkip();
-      }
-    } catch (error) {
-      this.errorReporter.reportError('Play handling failed', error);
-    }
+  setPlaybackRate(rate, announce = true) {
+    const next = PlaybackSpeed.normalize(rate);
+    if (next === null) return;
+    this.sendPlayerCommand('set_playback_rate', { rate: next });
+    this.playbackRate = next;
+    if (this.floatingUI) this.floatingUI.renderSpeed();
+    if (announce) this.showUserNotification(`Speed ${PlaybackSpeed.format(next)}`);
   }
 
-  handlePause() {
-    this.isPlaying = false;
+  /**
+   * Start each mirror at the series' default speed; paused automation leaves it alone
+   */
+  applySeriesSpeed() {
+    const rate = PlaybackSpeed.normalize(this.seriesSettings?.playbackRate);
+    const generation = this.failover.generation;
+    if (rate === null || !this.automation.enabled || this.speedAppliedGeneration === generation) return;
+    this.speedAppliedGeneration = generation;
+    this.setPlaybackRate(rate, rate !== 1);
   }
 
-  handleTimeUpdate(data) {
+  /**
+   * Store `rate` as this series' default speed; normal speed removes the default
+   */
+  async saveSeriesSpeed(rate) {
     try {
-      if (data && typeof data.currentTime === 'number') {
-        this.currentTime = this.validateTimeValue(data.currentTime);
-      }
-      this.checkOutroSkip();
+      const playbackRate = PlaybackSpeed.normalize(rate);
+      if (playbackRate === null) return;
+      this.seriesSettings = await this.settingsStore.updateSeries(this.currentSeries, {
+        playbackRate: playbackRate === 1 ? null : playbackRate,
+        timestamp: Date.now()
+      });
+      if (this.floatingUI) this.floatingUI.renderSpeed();
+      this.showUserNotification(playbackRate === 1
+        ? 'Series plays at normal speed'
+        : `Series default speed ${PlaybackSpeed.format(playbackRate)}`);
     } catch (error) {
-      this.errorReporter.reportError('Time update handling failed', error);
+      this.errorReporter.reportError('Speed saving failed', error, {
+        series: this.currentSeries
+      });
     }
   }
 
-  handleDurationChange(data) {
-    try {
-      if (data && typeof data.duration === 'number') {
-        this.duration = this.validateTimeValue(data.duration);
-      }
-    } catch (error) {
-      this.errorReporter.reportError('Duration change handling failed', error);
+  skipIntroNow() {
+    if (this.introSkipStart <= 0) {
+      this.showUserNotification('No intro time set for this series');
+      return;
     }
+    this.introSeekApplied = true;
+    this.pendingResumeTime = 0;
+    this.seekTo(this.introSkipStart);
+    this.currentTime = this.introSkipStart;
+    this.showUserNotification(`Skipped intro to ${this.formatTime(this.introSkipStart)}`);
   }
 
-  handleEnded() {
-    try {
-      this.navigateToNextEpisode();
-    } catch (error) {
-      this.errorReporter.reportError('End handling failed', error);
+  /**
+   * Relative seek; the local position is updated so repeated presses add up
+   * before the player reports back
+   */
+  seekBy(delta) {
+    const max = this.duration > 0 ? this.duration : 86400;
+    const target = Math.max(0, Math.min(max, this.currentTime + delta));
+    this.seekTo(target);
+    this.currentTime = this.validateTimeValue(target);
+  }
+
+  /**
+   * The playhead right now. Iframe players are asked for it, since the polled
+   * value is up to a second old and is not refreshed at all while paused.
+   */
+  requestCurrentTime(timeoutMs = 1000) {
+    if (this.html5Video) return Promise.resolve(this.validateTimeValue(this.html5Video.currentTime));
+    if (!this.playerFrame) return Promise.resolve(this.currentTime);
+
+    return new Promise((resolve) => {
+      const finish = (time) => {
+        clearTimeout(timer);
+        this.timeWaiters.delete(finish);
+        resolve(time);
+      };
+      const timer = setTimeout(() => finish(this.currentTime), timeoutMs);
+      this.timeWaiters.add(finish);
+      this.sendPlayerCommand('get_current_time');
+    });
+  }
+
+  /**
+   * Capture the playhead into the floating panel's intro end or outro start field
+   */
+  markTiming(kind) {
+    if (!this.floatingUI) {
+      this.floatingUI = new FloatingUI(this, this.currentSeries);
+    } else if (this.floatingUI.element) {
+      this.floatingUI.element.style.display = 'block';
     }
+    this.floatingUI.markHere(kind);
   }
 
   /**
-   * Enhanced outro checking with validation
+   * Seek a little before a marked time so the cut can be checked
    */
-  checkOutroSkip() {
+  previewAt(seconds) {
+    const target = Math.max(0, this.validateTimeValue(seconds) - this.previewLeadSeconds);
+    this.seekTo(target);
+    this.currentTime = target;
+    this.showUserNotification(`Previewing from ${this.formatTime(target)}`);
+  }
+
+  toggleFloatingUI() {
+    if (!this.floatingUI) {
+      this.floatingUI = new FloatingUI(this, this.currentSeries);
+      return;
+    }
+    const element = this.floatingUI.element;
+    if (element) element.style.display = element.style.display === 'none' ? 'block' : 'none';
+  }
+
+  async toggleAutoNavigate() {
+    if (!this.automation.enabled) {
+      this.showUserNotification(AutomationToggles.describe(this.automation));
+      return;
+    }
+    this.autoNavigate = !this.autoNavigate;
+    if (!this.autoNavigate) this.nextCountdown.stop();
+    this.showUserNotification(`Auto next episode ${this.autoNavigate ? 'on' : 'off'}`);
     try {
-      if (!this.duration || this.duration <= 0) return;
-      
-      const outroStart = this.outroStartSeconds > 0 ? 
-        this.outroStartSeconds : 
-        (this.outroSkipDuration > 0 ? (this.duration - this.outroSkipDuration) : 0);
-      
-      if (outroStart > 0 && this.currentTime >= (outroStart - 0.5)) {
-        console.log(`Outro detected at ${this.currentTime}s, navigating to next episode...`);
-        this.showUserNotification('Outro detected, navigating to next episode...');
-        this.navigateToNextEpisode();
+      // Flip the layer that decides, so a series switch is not left overriding the change
+      if (this.automation.sources.outroNavigation === 'series') {
+        await this.updateSeriesAutomation({ outroNavigation: this.autoNavigate });
+      } else {
+        await this.settingsStore.updateGlobal({ autoNavigate: this.autoNavigate });
       }
     } catch (error) {
-      this.errorReporter.reportError('Outro checking failed', error);
+      this.errorReporter.reportError('Auto navigation toggle failed', error);
     }
   }
 
@@ -671,9 +1311,12 @@ class AnimeXinPlayerController {
    */
   navigateToNextEpisode() {
     try {
-      if (this.nextEpisodeLink && this.nextEpisodeLink.href) {
-        console.log('Navigating to next episode:', this.nextEpisodeLink.href);
-        window.location.href = this.nextEpisodeLink.href;
+      if (this.nextEpisodeUrl) {
+        if (this.skippedEpisodes.length > 0) {
+          this.showUserNotification(`Episode ${this.skippedEpisodes.join(', ')} not listed, skipping ahead`);
+        }
+        console.log('Navigating to next episode:', this.nextEpisodeUrl);
+        window.location.href = this.nextEpisodeUrl;
       } else if (this.floatingUI) {
         this.floatingUI.showNextEpisodeButton();
         this.showUserNotification('No next episode link found. Use the Next Episode button.');
@@ -683,14 +1326,96 @@ class AnimeXinPlayerController {
     }
   }
 
-  findNextEpisodeLink() {
+  navigateToPreviousEpisode() {
+    try {
+      if (this.prevEpisodeUrl) {
+        console.log('Navigating to previous episode:', this.prevEpisodeUrl);
+        window.location.href = this.prevEpisodeUrl;
+      } else {
+        this.showUserNotification('No previous episode found');
+      }
+    } catch (error) {
+      this.errorReporter.reportError('Episode navigation failed', error);
+    }
+  }
+
+  /**
+   * Resolve next/previous episode URLs and the episode count from the page
+   */
+  findEpisodeLinks() {
     try {
-      this.nextEpisodeLink = document.querySelector('a[rel="next"]');
+      this.episodeLinks = this.episodeInfo?.series
+        ? EpisodeParser.collectEpisodeLinks(document, this.episodeInfo.series)
+        : new Map();
+
+      const listed = Array.from(this.episodeLinks.keys());
+      if (this.currentEpisode !== null) listed.push(this.currentEpisode);
+      this.episodeTotal = this.episodeInfo?.total || (this.episodeLinks.size > 0 ? Math.max(...listed) : null);
+
+      const gaps = EpisodeParser.findGaps(listed);
+      const duplicates = Array.from(this.episodeLinks.entries()).filter(([, urls]) => urls.length > 1).map(([n]) => n);
+      if (gaps.length > 0 || duplicates.length > 0) {
+        console.log('Episodes: missing', gaps, 'duplicated', duplicates);
+      }
+
+      this.nextEpisodeUrl = this.resolveNextEpisode(document.querySelector('a[rel="next"]')?.href || null);
+      this.prevEpisodeUrl = this.resolvePreviousEpisode(document.querySelector('a[rel="prev"]')?.href || null);
+
+      if (this.floatingUI) this.floatingUI.updateEpisodeLabel(this.getEpisodeLabel());
     } catch (error) {
       this.errorReporter.reportError('Next episode link finding failed', error);
     }
   }
 
+  /**
+   * rel="next" when it points at a later episode, else the page's episode list,
+   * else a URL built from the current slug. Listed gaps are skipped over.
+   */
+  resolveNextEpisode(linked) {
+    this.skippedEpisodes = [];
+    const current = this.currentEpisode;
+    if (current === null) return linked;
+
+    const linkedNumber = linked ? EpisodeParser.parseUrl(linked)?.episode : undefined;
+    if (linked && linkedNumber === undefined) return linked; // Not an episode slug; trust the site
+    if (linked && linkedNumber === current + 1) return linked;
+
+    const later = Array.from(this.episodeLinks.keys()).filter(n => n > current).sort((a, b) => a - b);
+    if (later.length > 0) {
+      const next = later[0];
+      for (let n = current + 1; n < next; n++) this.skippedEpisodes.push(n);
+      return EpisodeParser.pickUpload(this.episodeLinks.get(next), this.episodeInfo);
+    }
+
+    // Only a later number counts; rel="next" to this same number is a duplicate upload
+    if (linked && linkedNumber > current) return linked;
+    // A full list without later entries means this is the latest episode
+    if (this.episodeLinks.size > 0) return null;
+    return EpisodeParser.buildUrl(this.episodeInfo, current + 1);
+  }
+
+  resolvePreviousEpisode(linked) {
+    const current = this.currentEpisode;
+    if (current === null) return linked;
+
+    const linkedNumber = linked ? EpisodeParser.parseUrl(linked)?.episode : undefined;
+    if (linked && (linkedNumber === undefined || linkedNumber === current - 1)) return linked;
+
+    const earlier = Array.from(this.episodeLinks.keys()).filter(n => n < current).sort((a, b) => b - a);
+    if (earlier.length > 0) return EpisodeParser.pickUpload(this.episodeLinks.get(earlier[0]), this.episodeInfo);
+
+    if (linked && linkedNumber < current) return linked;
+    if (this.episodeLinks.size > 0 || current <= 1) return null;
+    return EpisodeParser.buildUrl(this.episodeInfo, current - 1);
+  }
+
+  getEpisodeLabel() {
+    if (this.currentEpisode === null) return '';
+    return this.episodeTotal
+      ? `Episode ${this.currentEpisode} of ${this.episodeTotal}`
+      : `Episode ${this.currentEpisode}`;
+  }
+
   /**
    * Enhanced player commands with validation
    */
@@ -699,36 +1424,9 @@ class AnimeXinPlayerController {
       // Validate command
       if (!command || typeof command !== 'string') return;
       
-      if (this.playerFrame && this.playerFrame.contentWindow) {
-        // Prefer our in-frame DM bridge if present
-        if (this.isDailymotionFrame()) {
-          const bridgeMessage = {
-            source: 'animexin-controller',
-            type: 'dm_bridge_command',
-            action: command,
-            data
-          };
-          try {
-            this.playerFrame.contentWindow.postMessage(bridgeMessage, '*');
-          } catch (_) {}
-          return;
-        }
-        // Fallback: best-effort generic
-        this.playerFrame.contentWindow.postMessage({ command, data }, '*');
-        return;
-      }
+      if (!this.playerAdapter || !this.playerElement) return;
 
-      // HTML5 fallback
-      if (!this.html5Video) return;
-      
-      if (command === 'seek' && data && typeof data.time === 'number') {
-        const time = this.validateTimeValue(data.time);
-        this.html5Video.currentTime = time;
-      } else if (command === 'play') {
-        this.html5Video.play().catch(() => {});
-      } else if (command === 'pause') {
-        this.html5Video.pause();
-      }
+      this.playerAdapter.sendCommand(this.playerElement, command, data);
     } catch (error) {
       this.errorReporter.reportError('Player command failed', error, {
         command, data
@@ -743,7 +1441,7 @@ class AnimeXinPlayerController {
 
   requestFullscreen() {
     try {
-      const el = this.playerFrame || this.html5Video;
+      const el = this.playerElement;
       if (!el) return;
       
       // If targeting an iframe, ensure allow attribute includes fullscreen
@@ -763,17 +1461,12 @@ class AnimeXinPlayerController {
           console.log('FS: success');
         }).catch((err) => {
           console.log('FS: blocked ->', err?.message || err);
-          // Ask the Dailymotion bridge to request fullscreen inside the iframe
-          if (this.playerFrame && this.isDailymotionFrame()) {
-            try {
-              this.playerFrame.contentWindow.postMessage({
-                source: 'animexin-controller',
-                type: 'dm_bridge_command',
-                action: 'fullscreen'
-              }, '*');
-              console.log('FS: delegated to DM bridge');
-            } catch (_) {}
-          }
+          // Ask the player (e.g. an in-frame bridge) to request fullscreen itself
+          try {
+            if (this.playerAdapter?.delegateFullscreen(el)) {
+              console.log('FS: delegated to', this.playerAdapter.id);
+            }
+          } catch (_) {}
           this.deferFullscreenOnGesture();
         });
       } else {
@@ -786,27 +1479,14 @@ class AnimeXinPlayerController {
 
   deferFullscreenOnGesture() {
     try {
-      if (this.deferredFullscreen) return;
+      if (this.deferredFullscreen || !this.isAutomated('fullscreen')) return;
       this.deferredFullscreen = true;
       console.log('FS: deferring until next user click');
       const handler = () => {
         this.deferredFullscreen = false;
         console.log('FS: retry after gesture');
-        // Also unmute on the same gesture for a single-click experience
-        try {
-          if (this.playerFrame && this.isDailymotionFrame()) {
-            this.playerFrame.contentWindow.postMessage({
-              source: 'animexin-controller',
-              type: 'dm_bridge_command',
-              action: 'unmute',
-              data: { volume: 1 }
-            }, '*');
-          } else if (this.html5Video) {
-            this.html5Video.muted = false;
-            this.html5Video.volume = 1;
-            this.html5Video.play().catch(() => {});
-          }
-        } catch (_) {}
+        // Also restore the sound on the same gesture for a single-click experience
+        this.volumeMemory.restore(true);
         this.requestFullscreen();
       };
       document.addEventListener('click', handler, { once: true, capture: true });
@@ -835,7 +1515,7 @@ class AnimeXinPlayerController {
   createFloatingUI() {
     try {
       // Only show floating UI if no settings exist for this series
-      if (this.introSkipStart === 0 && this.outroStartSeconds === 0 && this.outroSkipDuration === 0) {
+      if (this.introSkipStart === 0 && !this.outroStart && this.skipSegments.length === 0) {
         this.floatingUI = new FloatingUI(this, this.currentSeries);
         console.log('No settings found for series, showing floating UI');
       } else {
@@ -869,17 +1549,10 @@ class AnimeXinPlayerController {
           try {
             this.tryPreferServer();
             
-            // Cache previous elements to avoid unnecessary queries
-            const dm = document.querySelector('iframe[src*="dailymotion"]');
-            const vid = document.querySelector('.player .video_view video, video#video');
-            
-            if (dm && dm !== this.playerFrame) {
-              this.playerFrame = dm;
-              this.html5Video = null;
-              this.setupPlayer();
-            } else if (vid && vid !== this.html5Video) {
-              this.html5Video = vid;
-              this.playerFrame = null;
+            // Re-attach only when a different player element appears
+            const found = this.providers.findPlayer(document);
+            if (found && found.element !== this.playerElement) {
+              this.setActivePlayer(found);
               this.setupPlayer();
             }
           } catch (error) {
@@ -908,7 +1581,7 @@ class AnimeXinPlayerController {
             return el.tagName === 'IFRAME' || 
                    el.tagName === 'VIDEO' ||
                    el.classList?.contains('player') ||
-                   el.querySelector?.('iframe[src*="dailymotion"], video');
+                   el.querySelector?.(`${this.providers.selector()}, video`);
           });
         });
         
@@ -938,16 +1611,22 @@ class AnimeXinPlayerController {
   /**
    * Enhanced settings update with validation
    */
-  updateSettings(introSkipStart, outroSkipDuration, outroStartSeconds) {
+  async updateSettings(introSkipStart, outroStart, scope = 'series') {
+    const previous = { introSkipStart: this.introSkipStart, outroStart: this.outroStart };
     try {
-      this.introSkipStart = this.validateTimeValue(introSkipStart);
-      this.outroSkipDuration = this.validateTimeValue(outroSkipDuration);
-      this.outroStartSeconds = this.validateTimeValue(outroStartSeconds);
+      const timings = {
+        introSkipStart: this.validateTimeValue(introSkipStart),
+        outroStart: TimeSpec.normalize(outroStart) ?? 0
+      };
+      // Fields left as shown may come from an override or the defaults
+      const edited = TIMING_FIELDS.filter(field => timings[field] !== this[field]);
+      this.introSkipStart = timings.introSkipStart;
+      this.outroStart = timings.outroStart;
       
-      this.saveSettings();
+      await this.saveSettings(scope, edited);
       
       if (this.floatingUI) {
-        this.floatingUI.updateSettings(this.introSkipStart, this.outroSkipDuration, this.outroStartSeconds);
+        this.floatingUI.updateSettings(this.introSkipStart, this.outroStart);
       }
       
       this.showUserNotification('Settings saved successfully!');
@@ -957,7 +1636,10 @@ class AnimeXinPlayerController {
         this.floatingUI.element.style.display = 'none';
       }
     } catch (error) {
-      this.errorReporter.reportError('Settings update failed', error);
+      this.introSkipStart = previous.introSkipStart;
+      this.outroStart = previous.outroStart;
+      this.errorReporter.reportError('Settings update failed', error, { scope });
+      throw error;
     }
   }
 
@@ -966,7 +1648,9 @@ class AnimeXinPlayerController {
    */
   setupMessageListener() {
     try {
-      if (!chrome?.runtime?.onMessage) return;
+      // A second listener would run every command (hotkeys, saves) twice
+      if (this.messageListenerBound || !chrome?.runtime?.onMessage) return;
+      this.messageListenerBound = true;
 
       chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         try {
@@ -982,25 +1666,60 @@ class AnimeXinPlayerController {
                 success: true,
                 data: {
                   series: this.currentSeries,
+                  pageSeries: this.pageSeries,
+                  episode: this.currentEpisode,
                   introSkipStart: this.introSkipStart,
-                  outroSkipDuration: this.outroSkipDuration,
-                  outroStartSeconds: this.outroStartSeconds
+                  outroStart: this.outroStart,
+                  sources: this.timingSources,
+                  playbackRate: this.playbackRate
                 }
               });
               break;
 
+            case 'setPlaybackRate':
+              if (PlaybackSpeed.normalize(request.rate) === null) {
+                sendResponse({ success: false, error: 'Invalid playback speed' });
+                break;
+              }
+              this.setPlaybackRate(request.rate);
+              sendResponse({ success: true, rate: this.playbackRate });
+              break;
+
+            case 'getSleepTimer':
+              // The top frame owns the timer; let it answer
+              if (!this.isTopFrame) return false;
+              sendResponse({ success: true, state: this.sleepTimer.read() });
+              break;
+
+            case 'setSleepTimer':
+              if (!this.isTopFrame) return false;
+              sendResponse({
+                success: true,
+                state: this.sleepTimer.configure({ timer: request.timer, limit: request.limit })
+              });
+              break;
+
             case 'saveSettings':
+              // One save per request: frames below the top one stay silent
+              if (!this.isTopFrame) return false;
               if (!request.data || typeof request.data !== 'object') {
                 sendResponse({ success: false, error: 'Invalid settings data' });
                 break;
               }
               
+              // Answered once stored; the listener keeps the channel open
               this.updateSettings(
                 request.data.introSkipStart,
-                request.data.outroSkipDuration,
-                request.data.outroStartSeconds
+                request.data.outroStart,
+                ['series', 'global', 'episode', 'from-episode'].includes(request.data.scope) ? request.data.scope : 'series'
+              ).then(
+                () => sendResponse({ success: true }),
+                error => sendResponse({ success: false, error: error.message })
               );
-              sendResponse({ success: true });
+              break;
+
+            case 'runHotkey':
+              sendResponse({ success: this.runHotkeyAction(request.hotkey) });
               break;
 
             case 'showFloatingUI':
@@ -1053,10 +1772,11 @@ class AnimeXinPlayerController {
   // Attach listeners
   attachPlayerListeners() {
     try {
+      this.sendPlayerCommand('ping');
       this.sendPlayerCommand('get_duration');
       this.sendPlayerCommand('get_player_state');
       // In case play event fires before player becomes seekable
-      if (this.isPlaying && this.introSkipStart > 0 && !this.introSeekApplied) {
+      if (this.isPlaying && !this.introSeekApplied) {
         this.scheduleIntroSkip();
       }
     } catch (error) {
@@ -1067,39 +1787,43 @@ class AnimeXinPlayerController {
 
   async scheduleIntroSkip() {
     try {
-      if (this.introSeekApplied) return;
+      if (!this.automation.enabled) {
+        // A queued resume or failover position would otherwise block position saving for good
+        this.pendingResumeTime = 0;
+        return;
+      }
+      const generation = this.failover.generation;
+      // One wait per mirror; a failover switch starts a new generation
+      if (this.introSeekApplied || this.seekWaitGeneration === generation) return;
       console.log('Intro: waiting for seekable...');
+      this.seekWaitGeneration = generation;
       const ready = await this.waitUntilPlayerSeekable(10000);
+      if (this.seekWaitGeneration === generation) this.seekWaitGeneration = null;
       if (!ready) {
         console.log('Intro: timed out waiting for seekable');
+        this.failover.reportFailure('not seekable', generation);
+        return;
+      }
+      if (this.introSeekApplied || generation !== this.failover.generation) return;
+
+      const resuming = this.pendingResumeTime > 0;
+      const target = resuming ? this.pendingResumeTime : (this.isAutomated('introSkip') ? this.introSkipStart : 0);
+      if (target <= 0) {
+        this.volumeMemory.restore();
         return;
       }
-      if (this.introSeekApplied) return;
+
       this.introSeekApplied = true;
-      console.log(`Skipping intro to ${this.introSkipStart} seconds`);
-      this.seekTo(this.introSkipStart);
-      this.showUserNotification(`Skipped intro to ${this.formatTime(this.introSkipStart)}`);
+      this.pendingResumeTime = 0;
+      console.log(`${resuming ? 'Resuming' : 'Skipping intro'} to ${target} seconds`);
+      this.seekTo(target);
+      this.showUserNotification(resuming
+        ? `Resumed at ${this.formatTime(target)}`
+        : `Skipped intro to ${this.formatTime(target)}`);
       // Try fullscreen shortly after seek
-      setTimeout(() => { this.requestFullscreen(); }, 150);
-      // Unmute shortly after seek
-      setTimeout(() => {
-        try {
-          if (this.playerFrame && this.isDailymotionFrame()) {
-            this.playerFrame.contentWindow.postMessage({
-              source: 'animexin-controller',
-              type: 'dm_bridge_command',
-              action: 'unmute',
-              data: { volume: 1 }
-            }, '*');
-            console.log('Audio: unmute requested via DM bridge');
-          } else if (this.html5Video) {
-            this.html5Video.muted = false;
-            this.html5Video.volume = 1;
-            this.html5Video.play().catch(() => {});
-            console.log('Audio: unmuted HTML5 video');
-          }
-        } catch (_) {}
-      }, 250);
+      if (this.isAutomated('fullscreen')) setTimeout(() => { this.requestFullscreen(); }, 150);
+      // Restore the remembered volume shortly after seek
+      setTimeout(() => this.volumeMemory.restore(), 250);
     } catch (error) {
       this.errorReporter.reportError('Intro skip scheduling failed', error);
     }
@@ -1110,17 +1834,12 @@ class AnimeXinPlayerController {
       const start = Date.now();
       const check = () => {
         try {
-          // HTML5 path
-          if (this.html5Video) {
-            const v = this.html5Video;
-            const hasMeta = v.readyState >= 1; // HAVE_METADATA
-            const hasDur = Number.isFinite(v.duration) && v.duration > 0;
-            const seekable = v.seekable && v.seekable.length > 0;
-            if (hasMeta && hasDur && seekable) return resolve(true);
-          }
-          // Dailymotion iframe path (via bridge or native)
-          if (this.playerFrame && this.isDailymotionFrame()) {
-            if (this.playerReady && this.duration > 0) return resolve(true);
+          const el = this.playerElement;
+          if (this.playerAdapter && el && this.playerAdapter.isSeekable(el, {
+            playerReady: this.playerReady,
+            duration: this.duration
+          })) {
+            return resolve(true);
           }
         } catch (_) {}
         if (Date.now() - start >= timeoutMs) return resolve(false);
@@ -1161,6 +1880,7 @@ class FloatingUI {
         </div>
         <div class="animexin-content" role="main">
           <p id="animexin-description" class="sr-only">Configure intro and outro skip settings for ${this.series}</p>
+          <p id="animexin-episode" class="animexin-episode" aria-live="polite"></p>
           
           <div class="animexin-input-group">
             <label for="intro-skip-start">Intro Start (mm:ss)</label>
@@ -1170,18 +1890,88 @@ class FloatingUI {
                    value="${this.formatTime(this.controller.introSkipStart)}"
                    aria-describedby="intro-help"
                    autocomplete="off">
+            ${this.markControls('intro', 'intro end')}
             <small id="intro-help" class="help-text">Time to skip to when episode starts</small>
           </div>
           
           <div class="animexin-input-group">
-            <label for="outro-start">Outro Start (mm:ss)</label>
+            <label for="outro-start">Outro Start</label>
             <input type="text" 
                    id="outro-start" 
-                   placeholder="e.g., 17:49" 
-                   value="${this.formatTime(this.controller.outroStartSeconds)}"
+                   placeholder="e.g., 17:49, -1:30 or 92%" 
+                   value="${TimeSpec.format(this.controller.outroStart)}"
                    aria-describedby="outro-help"
+                   data-relative
                    autocomplete="off">
-            <small id="outro-help" class="help-text">Time when outro begins</small>
+            ${this.markControls('outro', 'outro start')}
+            <small id="outro-help" class="help-text">mm:ss, -mm:ss before the end, or % of the episode</small>
+          </div>
+          
+          <div class="animexin-segments">
+            <span class="animexin-segments-title" id="animexin-segments-title">Skip Segments</span>
+            <ul id="animexin-segment-list" class="animexin-segment-list" aria-labelledby="animexin-segments-title"></ul>
+            <div class="animexin-segment-form">
+              <select id="segment-name" aria-label="Segment">
+                ${Object.keys(SEGMENT_NAMES).map(name => `<option value="${name}">${SEGMENT_NAMES[name]}</option>`).join('')}
+              </select>
+              <input type="text" id="segment-start" placeholder="start" aria-label="Segment start (mm:ss, -mm:ss before the end, or %)" autocomplete="off">
+              <input type="text" id="segment-end" placeholder="end" aria-label="Segment end (mm:ss, -mm:ss before the end, or %; empty for end of video)" autocomplete="off">
+              <select id="segment-action" aria-label="Segment action">
+                ${Object.keys(SEGMENT_ACTIONS).map(action => `<option value="${action}">${SEGMENT_ACTIONS[action]}</option>`).join('')}
+              </select>
+              <button id="add-segment" type="button" class="animexin-segment-add" aria-label="Add skip segment">+</button>
+            </div>
+          </div>
+          
+          <div class="animexin-speed" role="group" aria-labelledby="animexin-speed-title">
+            <span class="animexin-segments-title" id="animexin-speed-title">Speed</span>
+            <div class="animexin-speed-row">
+              <button type="button" class="animexin-mark-btn" data-speed="down" aria-label="Slower playback">−</button>
+              <span id="animexin-speed-value" class="animexin-speed-value" aria-live="polite"></span>
+              <button type="button" class="animexin-mark-btn" data-speed="up" aria-label="Faster playback">+</button>
+              <button type="button" class="animexin-mark-btn" data-speed="save" aria-label="Use this speed for every episode of the series">Series default</button>
+            </div>
+            <small id="animexin-speed-default" class="help-text"></small>
+          </div>
+          
+          <div class="animexin-sleep" role="group" aria-labelledby="animexin-sleep-title">
+            <span class="animexin-segments-title" id="animexin-sleep-title">Sleep</span>
+            <div class="animexin-sleep-row">
+              <select id="animexin-sleep-timer" aria-label="Sleep timer">
+                <option value="off">No timer</option>
+                ${SLEEP_MINUTE_PRESETS.map(minutes => `<option value="${minutes}">${minutes} min</option>`).join('')}
+                <option value="episode">End of episode</option>
+                <option value="" hidden>Timer running</option>
+              </select>
+              <input type="number" id="animexin-binge-limit" min="0" max="${BINGE_MAX_EPISODES}" placeholder="No limit" aria-label="Stop auto-advancing after this many episodes (0 for no limit)">
+            </div>
+            <small id="animexin-sleep-status" class="help-text" aria-live="polite"></small>
+          </div>
+          
+          <div class="animexin-automation">
+            <label class="animexin-toggle">
+              <input type="checkbox" id="automation-series-enabled">
+              Automate this series
+            </label>
+            <div id="automation-features" class="animexin-automation-features">
+              ${Object.keys(AUTOMATION_FEATURES).map(feature => `
+                <label class="animexin-toggle">
+                  <input type="checkbox" data-feature="${feature}">
+                  ${AUTOMATION_FEATURES[feature]}
+                </label>`).join('')}
+            </div>
+            <small id="automation-status" class="help-text" aria-live="polite"></small>
+          </div>
+          
+          <div class="animexin-input-group">
+            <label for="save-scope">Save For</label>
+            <select id="save-scope" aria-describedby="save-scope-help">
+              <option value="series">This series</option>
+              <option value="from-episode" data-episode-scope>This episode and later</option>
+              <option value="episode" data-episode-scope>This episode only</option>
+              <option value="global">All series (default)</option>
+            </select>
+            <small id="save-scope-help" class="help-text">Only the fields you changed are saved there</small>
           </div>
           
           <button id="save-settings" 
@@ -1201,6 +1991,11 @@ class FloatingUI {
       `;
 
       document.body.appendChild(this.element);
+      this.updateEpisodeLabel(this.controller.getEpisodeLabel());
+      this.renderSegments();
+      this.renderSpeed();
+      this.renderSleep();
+      this.renderAutomation();
       this.attachEventListeners();
     } catch (error) {
       console.error('Floating UI creation failed:', error);
@@ -1231,13 +2026,14 @@ class FloatingUI {
       const saveBtn = this.element.querySelector('#save-settings');
       const introInput = this.element.querySelector('#intro-skip-start');
       const outroStartInput = this.element.querySelector('#outro-start');
+      const scopeSelect = this.element.querySelector('#save-scope');
       const nextBtn = this.element.querySelector('#next-episode-btn');
       const closeBtn = this.element.querySelector('.animexin-close');
 
       // CSP compliant event listeners (no onclick)
       saveBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        this.handleSave(introInput.value, outroStartInput.value);
+        this.handleSave(introInput.value, outroStartInput.value, scopeSelect.value);
       });
 
       nextBtn.addEventListener('click', (e) => {
@@ -1250,6 +2046,51 @@ class FloatingUI {
         this.hide();
       });
 
+      this.element.querySelectorAll('.animexin-mark-row').forEach((row) => {
+        row.addEventListener('click', (e) => {
+          const button = e.target.closest('button');
+          if (!button) return;
+          e.preventDefault();
+          const kind = row.dataset.field;
+          if (button.dataset.mark === 'capture') this.markHere(kind);
+          else if (button.dataset.mark === 'nudge') this.nudge(kind, Number(button.dataset.delta));
+          else if (button.dataset.mark === 'preview') this.preview(kind);
+        });
+      });
+
+      this.element.querySelector('#add-segment').addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleAddSegment();
+      });
+
+      this.element.querySelector('#animexin-segment-list').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.animexin-segment-remove');
+        if (!removeBtn) return;
+        e.preventDefault();
+        this.handleRemoveSegment(Number(removeBtn.dataset.index));
+      });
+
+      this.element.querySelector('.animexin-speed-row').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-speed]');
+        if (!button) return;
+        e.preventDefault();
+        const rate = this.controller.playbackRate;
+        if (button.dataset.speed === 'save') this.controller.saveSeriesSpeed(rate);
+        else this.controller.setPlaybackRate(PlaybackSpeed.step(rate, button.dataset.speed === 'up' ? 1 : -1));
+      });
+
+      const sleepSelect = this.element.querySelector('#animexin-sleep-timer');
+      sleepSelect.addEventListener('change', () => {
+        if (sleepSelect.value) this.controller.sleepTimer.configure({ timer: sleepSelect.value });
+      });
+      this.element.querySelector('#animexin-binge-limit').addEventListener('change', (e) => {
+        this.controller.sleepTimer.configure({ limit: e.target.value });
+      });
+
+      this.element.querySelector('.animexin-automation').addEventListener('change', (e) => {
+        if (e.target.matches('input[type="checkbox"]')) this.handleAutomationToggle(e.target);
+      });
+
       // Input validation on change
       [introInput, outroStartInput].forEach(input => {
         input.addEventListener('input', (e) => {
@@ -1262,12 +2103,16 @@ class FloatingUI {
     }
   }
 
-  handleSave(introValue, outroValue) {
+  async handleSave(introValue, outroValue, scope = 'series') {
     try {
       const introSeconds = this.parseTimeToSeconds(introValue);
-      const outroStartSeconds = this.parseTimeToSeconds(outroValue);
+      const outroStart = outroValue.trim() ? TimeSpec.parse(outroValue) : 0;
+      if (outroStart === null) {
+        this.showNotification('Outro start must be mm:ss, -mm:ss or a percentage', 'error');
+        return;
+      }
       
-      this.controller.updateSettings(introSeconds, this.controller.outroSkipDuration, outroStartSeconds);
+      await this.controller.updateSettings(introSeconds, outroStart, scope);
       
       // Visual feedback
       const saveBtn = this.element.querySelector('#save-settings');
@@ -1275,17 +2120,208 @@ class FloatingUI {
       setTimeout(() => saveBtn.classList.remove('success'), 1200);
       
     } catch (error) {
-      this.showNotification('Error saving settings. Please try again.', 'error');
+      this.showNotification(`Error saving settings: ${error?.message || 'please try again'}`, 'error');
+    }
+  }
+
+  /**
+   * "Mark here", ±1s nudge and preview buttons under a timing field
+   */
+  markControls(kind, label) {
+    return `
+            <div class="animexin-mark-row" data-field="${kind}">
+              <button type="button" class="animexin-mark-btn" data-mark="capture" aria-label="Set ${label} to the current playback time">Mark here</button>
+              <button type="button" class="animexin-mark-btn" data-mark="nudge" data-delta="-1" aria-label="Move ${label} 1 second earlier">−1s</button>
+              <button type="button" class="animexin-mark-btn" data-mark="nudge" data-delta="1" aria-label="Move ${label} 1 second later">+1s</button>
+              <button type="button" class="animexin-mark-btn" data-mark="preview" aria-label="Preview ${label}">Preview</button>
+            </div>`;
+  }
+
+  timingInput(kind) {
+    return this.element.querySelector(kind === 'intro' ? '#intro-skip-start' : '#outro-start');
+  }
+
+  /**
+   * Field value in seconds for this episode, or null when empty or not resolvable yet
+   */
+  readTiming(kind) {
+    const input = this.timingInput(kind);
+    const value = input ? input.value.trim() : '';
+    if (!value) return null;
+    if (kind === 'intro') return this.parseTimeToSeconds(value);
+    return TimeSpec.resolve(TimeSpec.parse(value), this.controller.duration);
+  }
+
+  /**
+   * Write seconds into a field; the outro keeps counting from the end if it already did
+   */
+  writeTiming(kind, seconds) {
+    const input = this.timingInput(kind);
+    if (!input) return;
+
+    if (kind === 'intro') {
+      input.value = this.formatTime(seconds);
+    } else {
+      const anchor = TimeSpec.anchor(TimeSpec.parse(input.value) ?? 0);
+      input.value = TimeSpec.format(TimeSpec.fromSeconds(seconds, anchor, this.controller.duration));
+    }
+    this.validateTimeInput(input);
+    this.showNotification(`${kind === 'intro' ? 'Intro end' : 'Outro start'} set to ${input.value} (not saved yet)`, 'info');
+  }
+
+  async markHere(kind) {
+    try {
+      const time = await this.controller.requestCurrentTime();
+      this.writeTiming(kind, time);
+    } catch (error) {
+      this.showNotification('Could not read the playback time', 'error');
+    }
+  }
+
+  nudge(kind, delta) {
+    const seconds = this.readTiming(kind);
+    if (seconds === null) {
+      this.showNotification('Mark a time first', 'error');
+      return;
+    }
+    this.writeTiming(kind, Math.max(0, seconds + delta));
+  }
+
+  preview(kind) {
+    const seconds = this.readTiming(kind);
+    if (seconds === null) {
+      this.showNotification('Mark a time first', 'error');
+      return;
+    }
+    this.controller.previewAt(seconds);
+  }
+
+  renderSpeed() {
+    try {
+      const value = this.element.querySelector('#animexin-speed-value');
+      if (value) value.textContent = PlaybackSpeed.format(this.controller.playbackRate);
+      const saved = PlaybackSpeed.normalize(this.controller.seriesSettings?.playbackRate);
+      const note = this.element.querySelector('#animexin-speed-default');
+      if (note) note.textContent = saved ? `Series default ${PlaybackSpeed.format(saved)}` : 'Series plays at normal speed';
+    } catch (error) {
+      console.error('Speed rendering failed:', error);
+    }
+  }
+
+  renderSleep() {
+    try {
+      const state = this.controller.sleepTimer.read();
+      const select = this.element.querySelector('#animexin-sleep-timer');
+      if (select) {
+        const type = state.timer?.type;
+        select.value = type === 'episode' ? 'episode' : (type === 'minutes' ? '' : 'off');
+      }
+      const limit = this.element.querySelector('#animexin-binge-limit');
+      if (limit && document.activeElement !== limit) limit.value = state.limit > 0 ? String(state.limit) : '';
+      const status = this.element.querySelector('#animexin-sleep-status');
+      if (status) status.textContent = SleepTimer.describe(state);
+    } catch (error) {
+      console.error('Sleep timer rendering failed:', error);
+    }
+  }
+
+  /**
+   * Switches for this series; unchecking a feature stores a series override,
+   * matching the global value again removes it
+   */
+  renderAutomation() {
+    try {
+      const automation = this.controller.automation;
+      const master = this.element.querySelector('#automation-series-enabled');
+      if (master) master.checked = automation.seriesEnabled;
+      this.element.querySelectorAll('#automation-features input[data-feature]').forEach((input) => {
+        input.checked = automation.values[input.dataset.feature];
+        input.disabled = !automation.enabled;
+      });
+      const status = this.element.querySelector('#automation-status');
+      if (status) status.textContent = AutomationToggles.describe(automation);
+    } catch (error) {
+      console.error('Automation rendering failed:', error);
+    }
+  }
+
+  handleAutomationToggle(input) {
+    if (input.id === 'automation-series-enabled') {
+      this.controller.updateSeriesAutomation({ enabled: input.checked ? null : false });
+      return;
+    }
+    const feature = input.dataset.feature;
+    const inherited = AutomationToggles.globalLayer(this.controller.globalSettings)[feature] !== false;
+    this.controller.updateSeriesAutomation({ [feature]: input.checked === inherited ? null : input.checked });
+  }
+
+  renderSegments() {
+    try {
+      const list = this.element.querySelector('#animexin-segment-list');
+      if (!list) return;
+
+      list.textContent = '';
+      this.controller.skipSegments.forEach((segment, index) => {
+        const description = SkipSegments.describe(segment);
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = description;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'animexin-segment-remove';
+        removeBtn.dataset.index = String(index);
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${description}`);
+
+        item.append(label, removeBtn);
+        list.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Segment rendering failed:', error);
+    }
+  }
+
+  handleAddSegment() {
+    try {
+      const startInput = this.element.querySelector('#segment-start');
+      const endInput = this.element.querySelector('#segment-end');
+      const segment = SkipSegments.normalize({
+        name: this.element.querySelector('#segment-name').value,
+        action: this.element.querySelector('#segment-action').value,
+        start: TimeSpec.parse(startInput.value),
+        end: endInput.value.trim() ? (TimeSpec.parse(endInput.value) ?? 'invalid') : null
+      });
+
+      if (!segment) {
+        this.showNotification('Enter a valid start time before the end time', 'error');
+        return;
+      }
+
+      startInput.value = '';
+      endInput.value = '';
+      this.controller.updateSegments([...this.controller.skipSegments, segment]);
+      this.showNotification(`Added ${SkipSegments.describe(segment)}`, 'success');
+    } catch (error) {
+      this.showNotification('Error adding segment. Please try again.', 'error');
     }
   }
 
+  handleRemoveSegment(index) {
+    const segments = this.controller.skipSegments.filter((_, i) => i !== index);
+    this.controller.updateSegments(segments);
+  }
+
   validateTimeInput(input) {
     try {
       const value = input.value.trim();
       if (!value) return;
       
       const seconds = this.parseTimeToSeconds(value);
-      if (seconds < 0 || seconds > 86400) { // Max 24 hours
+      const invalid = input.hasAttribute('data-relative')
+        ? TimeSpec.parse(value) === null
+        : seconds < 0 || seconds > 86400; // Max 24 hours
+      if (invalid) {
         input.setAttribute('aria-invalid', 'true');
         input.style.borderColor = '#f44336';
       } else {
@@ -1324,18 +2360,59 @@ class FloatingUI {
     return `${m}:${ss}`;
   }
 
-  updateSettings(introSkipStart, outroSkipDuration, outroStartSeconds) {
+  setSeries(series) {
+    this.series = series;
+    const title = this.element?.querySelector('#animexin-title');
+    const description = this.element?.querySelector('#animexin-description');
+    const help = this.element?.querySelector('#save-help');
+    if (title) title.textContent = `AnimeXin (${series})`;
+    if (description) description.textContent = `Configure intro and outro skip settings for ${series}`;
+    if (help) help.textContent = `Saves settings for ${series} episodes`;
+  }
+
+  updateSettings(introSkipStart, outroStart) {
     try {
       const introInput = this.element.querySelector('#intro-skip-start');
       const outroStartInput = this.element.querySelector('#outro-start');
       
       if (introInput) introInput.value = this.formatTime(introSkipStart);
-      if (outroStartInput) outroStartInput.value = this.formatTime(outroStartSeconds);
+      if (outroStartInput) outroStartInput.value = TimeSpec.format(outroStart);
     } catch (error) {
       console.error('Settings update failed:', error);
     }
   }
 
+  updateEpisodeLabel(label) {
+    try {
+      this.updateSaveScopeOptions();
+      const episode = this.element.querySelector('#animexin-episode');
+      if (!episode) return;
+      episode.textContent = label;
+      episode.style.display = label ? 'block' : 'none';
+    } catch (error) {
+      console.error('Episode label update failed:', error);
+    }
+  }
+
+  /**
+   * Episode scopes name the episode, and need one
+   */
+  updateSaveScopeOptions() {
+    const select = this.element.querySelector('#save-scope');
+    if (!select) return;
+
+    const episode = this.controller.currentEpisode;
+    select.querySelectorAll('option[data-episode-scope]').forEach((option) => {
+      option.disabled = episode === null;
+      if (episode !== null) {
+        option.textContent = option.value === 'episode'
+          ? `Only episode ${episode}`
+          : `Episode ${episode} and later`;
+      }
+    });
+    if (select.selectedOptions[0]?.disabled) select.value = 'series';
+  }
+
   showNextEpisodeButton() {
     try {
       const btn = this.element.querySelector('#next-episode-btn');
@@ -0,0 +1,181 @@
+/**
+ * AnimeXin Player Controller - Next Episode Countdown
+ * Shown when the outro starts (or the episode ends) instead of leaving the page at once:
+ * - "Go now" navigates immediately
+ * - "Cancel" keeps the viewer on this episode; auto navigation stays off for it
+ * - "Watch credits" lets the outro play and counts down again when the episode ends
+ *
+ * The sleep timer and binge limit (sleep.js) can stop it from starting at all.
+ *
+ * The overlay is a manual popover so it renders in the top layer, above a
+ * fullscreen iframe or <video>.
+ */
+
+const COUNTDOWN_DEFAULT_SECONDS = 10;
+
+class NextEpisodeCountdown {
+  constructor(controller) {
+    this.controller = controller;
+    this.seconds = COUNTDOWN_DEFAULT_SECONDS;
+    this.element = null;
+    this.timer = null;
+    this.remaining = 0;
+    this.cancelled = false;
+    this.watchingCredits = false;
+    this.onFullscreenChange = () => this.raise();
+  }
+
+  static normalizeSeconds(value) {
+    const num = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(num) || num < 0) {
+      return COUNTDOWN_DEFAULT_SECONDS;
+    }
+    return Math.min(Math.floor(num), 60);
+  }
+
+  applyGlobalSettings(globals) {
+    this.seconds = NextEpisodeCountdown.normalizeSeconds(globals?.nextCountdownSeconds);
+  }
+
+  get active() {
+    return this.timer !== null;
+  }
+
+  /**
+   * reason: 'outro' (credits can still be watched) or 'ended'
+   */
+  start(reason) {
+    if (this.active || this.cancelled) return;
+    if (reason === 'outro' && this.watchingCredits) return;
+
+    if (this.controller.sleepTimer.stopsAt(reason)) {
+      this.cancelled = true;
+      if (this.controller.floatingUI) this.controller.floatingUI.showNextEpisodeButton();
+      return;
+    }
+
+    // Nothing to count down to: let the controller show its "no next episode" fallback
+    if (this.seconds === 0 || !this.controller.nextEpisodeUrl) {
+      // Once per episode: the outro check calls start() again every tick
+      this.cancelled = true;
+      this.advance();
+      return;
+    }
+
+    this.remaining = this.seconds;
+    this.render(reason);
+    this.timer = setInterval(() => this.tick(), 1000);
+    document.addEventListener('fullscreenchange', this.onFullscreenChange);
+  }
+
+  tick() {
+    this.remaining--;
+    if (this.remaining <= 0) {
+      this.goNow();
+      return;
+    }
+    this.updateText();
+  }
+
+  goNow() {
+    this.stop();
+    this.advance();
+  }
+
+  advance() {
+    if (this.controller.nextEpisodeUrl) this.controller.sleepTimer.countEpisode();
+    this.controller.navigateToNextEpisode();
+  }
+
+  cancel() {
+    this.stop();
+    this.cancelled = true;
+    this.controller.showUserNotification('Auto next episode cancelled for this episode');
+    if (this.controller.floatingUI) this.controller.floatingUI.showNextEpisodeButton();
+  }
+
+  watchCredits() {
+    this.stop();
+    this.watchingCredits = true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  render(reason) {
+    const element = document.createElement('div');
+    element.id = 'animexin-next-countdown';
+    element.setAttribute('role', 'alertdialog');
+    element.setAttribute('aria-label', 'Next episode countdown');
+
+    const text = document.createElement('span');
+    text.className = 'animexin-countdown-text';
+    text.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'animexin-countdown-actions';
+    const button = (label, className, handler) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.textContent = label;
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        handler();
+      });
+      return btn;
+    };
+    actions.appendChild(button('Go now', 'animexin-overlay-btn', () => this.goNow()));
+    if (reason === 'outro') {
+      actions.appendChild(button('Watch credits', 'animexin-overlay-btn secondary', () => this.watchCredits()));
+    }
+    actions.appendChild(button('Cancel', 'animexin-overlay-btn secondary', () => this.cancel()));
+
+    element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.cancel();
+    });
+
+    element.append(text, actions);
+    this.element = element;
+    this.updateText();
+    this.raise();
+  }
+
+  updateText() {
+    const text = this.element?.querySelector('.animexin-countdown-text');
+    if (text) text.textContent = `Next episode in ${this.remaining}s`;
+  }
+
+  /**
+   * (Re)enter the top layer so the overlay stays above whatever went fullscreen last
+   */
+  raise() {
+    const element = this.element;
+    if (!element) return;
+
+    if (typeof element.showPopover === 'function') {
+      if (!element.isConnected) {
+        element.setAttribute('popover', 'manual');
+        document.body.appendChild(element);
+      } else if (element.matches(':popover-open')) {
+        element.hidePopover();
+      }
+      element.showPopover();
+      return;
+    }
+
+    // No popover support: a fullscreen container can still host the overlay
+    const host = document.fullscreenElement;
+    const canHost = host && !['IFRAME', 'VIDEO'].includes(host.tagName);
+    (canHost ? host : document.body).appendChild(element);
+  }
+}
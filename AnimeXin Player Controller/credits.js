@@ -0,0 +1,216 @@
+/**
+ * AnimeXin Player Controller - Credits Analysis
+ * Finds where the end credits start in the last minutes of an episode:
+ * - CreditsRecorder samples the loudness (Web Audio, sharing the graph from fingerprint.js)
+ *   and the average luminance of a 32x18 copy of the frame four times a second, and
+ *   hands them over in one-second batches
+ * - CreditsAnalysis.find looks for a silent or black gap followed by mostly dark frames
+ *   (credits on black); when the frames cannot be read a longer silence has to do
+ *
+ * Needs fingerprint.js: loaded in the content script for the HTML5 player and next to
+ * dm-bridge.js inside Dailymotion frames.
+ */
+
+const CREDITS_DEFAULTS = {
+  fromEnd: 300,
+  rate: 4
+};
+
+const CREDITS_LEVELS = {
+  silentDb: -50,
+  blackLuma: 0.06,
+  darkLuma: 0.2
+};
+
+const CREDITS_MATCH = {
+  minGapSeconds: 0.5,
+  audioOnlyGapSeconds: 1.5,
+  confirmSeconds: 15,
+  minDarkShare: 0.6,
+  minBeforeEndSeconds: 30,
+  maxBeforeEndSeconds: 240
+};
+
+const MAX_CREDITS_SAMPLES = 4000;
+
+class CreditsRecorder {
+  constructor(video, options = {}) {
+    this.video = video;
+    this.fromEnd = Math.min(Math.max(Math.floor(Number(options.fromEnd) || CREDITS_DEFAULTS.fromEnd), 60), 600);
+    this.rate = Math.min(Math.max(Math.floor(Number(options.rate) || CREDITS_DEFAULTS.rate), 1), 4);
+    this.graph = null;
+    this.analyser = null;
+    this.buffer = null;
+    this.canvas = null;
+    this.lumaReadable = true;
+    this.batch = [];
+    this.timer = null;
+    this.onBatch = null;
+    this.onEnded = () => this.stop();
+  }
+
+  /**
+   * Start sampling; loudness stays null when Web Audio cannot start or the audio is
+   * not readable (see FingerprintRecorder.readable), luminance when the frames belong
+   * to another origin
+   */
+  async start(onBatch) {
+    if (this.timer) return;
+    this.onBatch = onBatch;
+    const graph = await FingerprintRecorder.connect(this.video);
+    if (graph) {
+      this.graph = graph;
+      this.analyser = graph.context.createAnalyser();
+      this.analyser.fftSize = 2048;
+      graph.source.connect(this.analyser);
+      this.buffer = new Float32Array(this.analyser.fftSize);
+    }
+    this.video.addEventListener('ended', this.onEnded);
+    this.timer = setInterval(() => this.sample(), 1000 / this.rate);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flush();
+    this.video.removeEventListener('ended', this.onEnded);
+    if (this.analyser) {
+      try {
+        this.analyser.disconnect();
+      } catch (_) {}
+      this.analyser = null;
+    }
+    if (this.graph) {
+      FingerprintRecorder.release(this.video);
+      this.graph = null;
+    }
+  }
+
+  sample() {
+    const video = this.video;
+    if (!video.isConnected) {
+      this.stop();
+      return;
+    }
+    const duration = video.duration;
+    if (!Number.isFinite(duration) || !(duration > 0) || video.paused || video.seeking) return;
+    const time = video.currentTime;
+    if (time < duration - this.fromEnd) return;
+
+    this.batch.push({
+      time: Math.round(time * 100) / 100,
+      loudness: this.loudness(),
+      luma: this.luma()
+    });
+    if (this.batch.length >= this.rate) this.flush();
+  }
+
+  flush() {
+    if (this.batch.length === 0 || !this.onBatch) return;
+    const samples = this.batch;
+    this.batch = [];
+    this.onBatch(samples);
+  }
+
+  /**
+   * RMS level in dBFS, -100 for digital silence
+   */
+  loudness() {
+    if (!this.analyser) return null;
+    this.analyser.getFloatTimeDomainData(this.buffer);
+    let sum = 0;
+    for (let i = 0; i < this.buffer.length; i++) sum += this.buffer[i] * this.buffer[i];
+    const rms = Math.sqrt(sum / this.buffer.length);
+    return rms > 0 ? Math.max(-100, Math.round(20 * Math.log10(rms))) : -100;
+  }
+
+  /**
+   * Mean luminance 0-1 of the current frame
+   */
+  luma() {
+    if (!this.lumaReadable || this.video.readyState < 2) return null;
+    try {
+      if (!this.canvas) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 32;
+        this.canvas.height = 18;
+      }
+      const context = this.canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+      const { data } = context.getImageData(0, 0, this.canvas.width, this.canvas.height);
+      let sum = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        sum += 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      }
+      return Math.round((sum / (data.length / 4) / 255) * 1000) / 1000;
+    } catch (_) {
+      // Cross-origin frames taint the canvas; stop trying
+      this.lumaReadable = false;
+      return null;
+    }
+  }
+}
+
+class CreditsAnalysis {
+  /**
+   * Samples from a recorder or a bridge message with anything malformed dropped
+   */
+  static normalizeSamples(samples) {
+    if (!Array.isArray(samples)) return [];
+    const level = (value, min, max) => (typeof value === 'number' && value >= min && value <= max ? value : null);
+    return samples
+      .filter(sample => sample && Number.isFinite(sample.time) && sample.time >= 0)
+      .map(sample => ({
+        time: sample.time,
+        loudness: level(sample.loudness, -100, 0),
+        luma: level(sample.luma, 0, 1)
+      }));
+  }
+
+  /**
+   * Time-ordered samples -> { start } where the credits begin, or null while nothing
+   * is found (yet). The earliest gap wins; a gap waits for confirmSeconds of frames after it.
+   */
+  static find(samples, duration) {
+    const { silentDb, blackLuma, darkLuma } = CREDITS_LEVELS;
+    const { minGapSeconds, audioOnlyGapSeconds, confirmSeconds, minDarkShare, minBeforeEndSeconds, maxBeforeEndSeconds } = CREDITS_MATCH;
+    // A muted or unreadable track is silent throughout and says nothing
+    const audio = samples.some(sample => sample.loudness !== null && sample.loudness > silentDb);
+    const frames = samples.some(sample => sample.luma !== null);
+    if (!audio && !frames) return null;
+
+    const quiet = sample => (audio && sample.loudness !== null && sample.loudness <= silentDb)
+      || (sample.luma !== null && sample.luma <= blackLuma);
+    const last = samples[samples.length - 1];
+
+    let gapStart = null;
+    for (let i = 0; i < samples.length; i++) {
+      if (quiet(samples[i])) {
+        if (gapStart === null) gapStart = i;
+        continue;
+      }
+      if (gapStart === null) continue;
+
+      const start = samples[gapStart].time;
+      const resumedAt = samples[i].time;
+      gapStart = null;
+      if (resumedAt - start < minGapSeconds) continue;
+      if (duration > 0) {
+        const beforeEnd = duration - start;
+        if (beforeEnd < minBeforeEndSeconds || beforeEnd > maxBeforeEndSeconds) continue;
+      }
+
+      if (!frames) {
+        if (resumedAt - start >= audioOnlyGapSeconds) return { start };
+        continue;
+      }
+      if (last.time < resumedAt + confirmSeconds) return null;
+      const after = samples.filter(sample => sample.luma !== null && sample.time > resumedAt && sample.time <= resumedAt + confirmSeconds);
+      const dark = after.filter(sample => sample.luma <= darkLuma).length;
+      if (after.length > 0 && dark / after.length >= minDarkShare) return { start };
+    }
+    return null;
+  }
+}
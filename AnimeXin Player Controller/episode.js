@@ -0,0 +1,101 @@
+/**
+ * AnimeXin Player Controller - Episode Parsing
+ * AnimeXin episode slugs look like `<series>-episode-<n>[-<suffix>]`, e.g.
+ * `martial-master-episode-445-indonesia-english-sub`, and page titles repeat the
+ * number ("Martial Master Episode 445 Indonesia, English Sub").
+ *
+ * Used to build neighbouring episode URLs when the page has no rel="next"/"prev"
+ * link and to spot missing or duplicate entries in the page's episode list.
+ */
+
+const EPISODE_SLUG_RE = /^(.+?)-episode-(\d+)(?:-(.+))?$/i;
+const EPISODE_TITLE_RE = /\bepisode\s*(\d+)(?:\s*(?:of|\/)\s*(\d+))?/i;
+const EPISODE_KINDS = ['sub', 'dub', 'raw'];
+
+class EpisodeParser {
+  /**
+   * `<series>-episode-<n>-<suffix>` -> { series, episode, suffix, languages, kind } or null
+   */
+  static parseSlug(slug) {
+    const match = String(slug || '').toLowerCase().replace(/^\/+|\/+$/g, '').match(EPISODE_SLUG_RE);
+    if (!match) return null;
+
+    const suffix = match[3] || '';
+    const words = suffix.split('-').filter(Boolean);
+    return {
+      series: match[1],
+      episode: Number(match[2]),
+      suffix,
+      languages: words.filter(word => !EPISODE_KINDS.includes(word)),
+      kind: words.find(word => EPISODE_KINDS.includes(word)) || null
+    };
+  }
+
+  static parseUrl(url) {
+    try {
+      const path = new URL(url, window.location.href).pathname.replace(/^\/+|\/+$/g, '');
+      return EpisodeParser.parseSlug(path.split('/')[0]);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * "Episode 445" / "Episode 445 of 460" -> { episode, total } or null
+   */
+  static parseTitle(title) {
+    const match = String(title || '').match(EPISODE_TITLE_RE);
+    if (!match) return null;
+    return {
+      episode: Number(match[1]),
+      total: match[2] ? Number(match[2]) : null
+    };
+  }
+
+  /**
+   * Same series and suffix, different episode number
+   */
+  static buildUrl(info, episode, origin = window.location.origin) {
+    if (!info || !info.series || !(episode >= 0)) return null;
+    const suffix = info.suffix ? `-${info.suffix}` : '';
+    return `${origin}/${info.series}-episode-${episode}${suffix}/`;
+  }
+
+  /**
+   * Episode links on the page for one series as Map<episode, url[]>
+   */
+  static collectEpisodeLinks(root, series) {
+    const links = new Map();
+    root.querySelectorAll('a[href*="-episode-"]').forEach((anchor) => {
+      const info = EpisodeParser.parseUrl(anchor.href);
+      if (!info || info.series !== series) return;
+      const urls = links.get(info.episode) || [];
+      if (!urls.includes(anchor.href)) urls.push(anchor.href);
+      links.set(info.episode, urls);
+    });
+    return links;
+  }
+
+  /**
+   * Numbers missing between the lowest and highest listed episode
+   */
+  static findGaps(numbers) {
+    const sorted = Array.from(new Set(numbers)).sort((a, b) => a - b);
+    const gaps = [];
+    for (let i = 1; i < sorted.length; i++) {
+      for (let n = sorted[i - 1] + 1; n < sorted[i] && gaps.length < 50; n++) {
+        gaps.push(n);
+      }
+    }
+    return gaps;
+  }
+
+  /**
+   * Among several uploads of one episode, prefer the one with the current language suffix
+   */
+  static pickUpload(urls, info) {
+    if (!urls || urls.length === 0) return null;
+    const sameSuffix = urls.find(url => EpisodeParser.parseUrl(url)?.suffix === info?.suffix);
+    return sameSuffix || urls[0];
+  }
+}
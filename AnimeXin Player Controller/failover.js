@@ -0,0 +1,134 @@
+/**
+ * AnimeXin Player Controller - Mirror Failover
+ * Walks down the server priority list when the selected mirror fails:
+ * - the player never loads (no bridge `apiready` within the load timeout)
+ * - the player never becomes seekable after play
+ * - the player reports an error mid-episode
+ *
+ * Failed mirrors are remembered per episode in sessionStorage so a reload
+ * of the same episode skips them, and the playback position is restored
+ * on the replacement mirror.
+ */
+
+class MirrorFailover {
+  constructor(controller) {
+    this.controller = controller;
+    this.loadTimeoutMs = 15000;
+    this.loadTimer = null;
+    this.watchedValue = null;
+    this.resumePlayback = false;
+    this.exhausted = false;
+    // Bumped on every switch so checks started against the old mirror can be discarded
+    this.generation = 0;
+    this.failedValues = new Set(this.readFailed());
+  }
+
+  storageKey() {
+    return `animexin-failover:${window.location.pathname}`;
+  }
+
+  readFailed() {
+    try {
+      const raw = window.sessionStorage.getItem(this.storageKey());
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  persistFailed() {
+    try {
+      window.sessionStorage.setItem(this.storageKey(), JSON.stringify(Array.from(this.failedValues)));
+    } catch (_) {}
+  }
+
+  hasFailed(value) {
+    return this.failedValues.has(value);
+  }
+
+  /**
+   * Start the load timer for the option now selected in the dropdown
+   */
+  watchLoad(value) {
+    this.clearLoadTimer();
+    this.watchedValue = value;
+    this.loadTimer = setTimeout(() => {
+      this.loadTimer = null;
+      this.reportFailure('load timeout');
+    }, this.loadTimeoutMs);
+  }
+
+  /**
+   * The active player answered (bridge apiready or local video attached)
+   */
+  markLoaded() {
+    this.clearLoadTimer();
+    if (this.resumePlayback) {
+      this.resumePlayback = false;
+      this.controller.sendPlayerCommand('play');
+    }
+  }
+
+  clearLoadTimer() {
+    if (this.loadTimer) {
+      clearTimeout(this.loadTimer);
+      this.loadTimer = null;
+    }
+  }
+
+  /**
+   * Mark the selected mirror as failed for this episode and move to the next one.
+   * Pass the generation captured when the check started to drop stale reports.
+   */
+  reportFailure(reason, generation = this.generation) {
+    try {
+      if (generation !== this.generation) return;
+
+      const controller = this.controller;
+      const select = document.querySelector('select.mirror');
+      // Never fight a server the viewer picked by hand; switching servers is part of server preference
+      if (!select || controller.userServerOverride || this.exhausted) return;
+      if (!controller.automation.enabled || !controller.isAutomated('serverPreference')) return;
+
+      const failedValue = select.value;
+      // Ignore late failures from a mirror we already moved away from
+      if (this.watchedValue !== null && failedValue !== this.watchedValue) return;
+
+      this.clearLoadTimer();
+      this.failedValues.add(failedValue);
+      this.persistFailed();
+      console.log(`Failover: mirror failed (${reason})`);
+
+      const next = this.nextOption(select);
+      if (!next) {
+        this.exhausted = true;
+        controller.showUserNotification('All mirrors failed for this episode');
+        return;
+      }
+
+      this.switchTo(select, next);
+    } catch (error) {
+      this.controller.errorReporter.reportError('Mirror failover failed', error, { reason });
+    }
+  }
+
+  /**
+   * Best remaining option: priority-ranked mirrors first, then any other real option
+   */
+  nextOption(select) {
+    const options = Array.from(select.options || []).filter(o => o.value && !this.hasFailed(o.value));
+    const ranked = this.controller.getServerPriority().rankOptions(options);
+    return ranked[0] || options[0] || null;
+  }
+
+  switchTo(select, option) {
+    const controller = this.controller;
+    this.generation++;
+    this.resumePlayback = controller.isPlaying;
+    controller.prepareForMirrorSwitch(controller.currentTime);
+    controller.showUserNotification(`Mirror failed, switching to ${option.textContent.trim()}`);
+    controller.applyServerOption(select, option);
+    this.watchLoad(option.value);
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * AnimeXin Player Controller - Audio Fingerprints
+ * Openings repeat verbatim across episodes, so the start of each episode is
+ * recorded as a compact fingerprint and compared with earlier episodes:
+ * - FingerprintRecorder taps a <video> with Web Audio and turns every half second of
+ *   media time into a 16-bit hash of how the energy in 17 bands (300-4000 Hz) changed
+ *   since the previous frame; silent, paused and seeked-over frames stay null
+ * - AudioFingerprint.match finds the longest stretch two fingerprints share, at any offset,
+ *   so an intro after a cold open of a different length is still found
+ *
+ * Self-contained (no other extension globals): loaded in the content script for the
+ * HTML5 player and next to dm-bridge.js inside Dailymotion frames.
+ */
+
+const FINGERPRINT_DEFAULTS = {
+  seconds: 240,
+  rate: 2
+};
+
+const FINGERPRINT_BANDS = { count: 17, minHz: 300, maxHz: 4000 };
+const FINGERPRINT_SAMPLE_MS = 100;
+const FINGERPRINT_SILENCE_LEVEL = 8;
+
+const FINGERPRINT_MATCH = {
+  maxBitErrors: 5,
+  windowSeconds: 10,
+  minDensity: 0.45,
+  minSeconds: 20,
+  maxSeconds: 180
+};
+
+// A media element can be routed into Web Audio only once; later recorders reuse the graph
+// ({ context, source, users })
+const fingerprintGraphs = new WeakMap();
+
+class FingerprintRecorder {
+  constructor(video, options = {}) {
+    this.video = video;
+    this.seconds = Math.min(Math.max(Math.floor(Number(options.seconds) || FINGERPRINT_DEFAULTS.seconds), 30), 600);
+    this.rate = Math.min(Math.max(Math.floor(Number(options.rate) || FINGERPRINT_DEFAULTS.rate), 1), 4);
+    this.frames = new Array(this.seconds * this.rate).fill(null);
+    this.graph = null;
+    this.analyser = null;
+    this.bins = null;
+    this.bands = [];
+    this.timer = null;
+    this.pending = null;
+    this.previous = null;
+    this.onComplete = null;
+    // A new source (an ad giving way to the episode) starts the recording over
+    this.onEmptied = () => {
+      this.frames.fill(null);
+      this.pending = null;
+      this.previous = null;
+    };
+  }
+
+  /**
+   * Route the video through an analyser; resolves false when Web Audio is unavailable,
+   * not allowed to start yet (no user gesture) or the audio is not readable, leaving
+   * playback untouched
+   */
+  async start(onComplete) {
+    if (this.timer) return true;
+    const graph = await FingerprintRecorder.connect(this.video);
+    if (!graph) return false;
+
+    this.graph = graph;
+    this.analyser = graph.context.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.analyser.smoothingTimeConstant = 0;
+    graph.source.connect(this.analyser);
+    this.bins = new Uint8Array(this.analyser.frequencyBinCount);
+    this.bands = FingerprintRecorder.bandBins(graph.context.sampleRate, this.analyser.fftSize);
+
+    this.onComplete = onComplete;
+    this.video.addEventListener('emptied', this.onEmptied);
+    this.timer = setInterval(() => this.sample(), FINGERPRINT_SAMPLE_MS);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.video.removeEventListener('emptied', this.onEmptied);
+    if (this.analyser) {
+      try {
+        this.analyser.disconnect();
+      } catch (_) {}
+      this.analyser = null;
+    }
+    if (this.graph) {
+      FingerprintRecorder.release(this.video);
+      this.graph = null;
+    }
+  }
+
+  /**
+   * Whether Web Audio may read the samples: cross-origin media without CORS comes out
+   * of the graph as silence, and routing cannot be undone, so it would mute the episode
+   */
+  static readable(video) {
+    const src = video.currentSrc;
+    if (!src) return false;
+    try {
+      const url = new URL(src, window.location.href);
+      // Media Source and inline data are produced by the page itself
+      if (url.protocol === 'blob:' || url.protocol === 'data:') return true;
+      if (url.origin === window.location.origin) return true;
+    } catch (_) {
+      return false;
+    }
+    // Requested with CORS: a response without approval would not have loaded at all
+    return video.crossOrigin !== null && video.readyState > 0;
+  }
+
+  /**
+   * Shared graph for the video, counted per recorder; null when it cannot be used
+   */
+  static async connect(video) {
+    const existing = fingerprintGraphs.get(video);
+    if (existing) {
+      existing.users++;
+      return existing;
+    }
+    if (!FingerprintRecorder.readable(video)) return null;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    try {
+      const context = new AudioContextClass();
+      // resume() stays pending without a user gesture, so give up after a second
+      await Promise.race([
+        context.resume().catch(() => {}),
+        new Promise(resolve => setTimeout(resolve, 1000))
+      ]);
+      // Audio routed into a suspended context would go silent
+      if (context.state !== 'running') {
+        context.close().catch(() => {});
+        return null;
+      }
+
+      const source = context.createMediaElementSource(video);
+      source.connect(context.destination);
+      const graph = { context, source, users: 1 };
+      fingerprintGraphs.set(video, graph);
+      return graph;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Drop a recorder's use of the graph. The video now only plays through it, so the
+   * context is closed once nothing records and the video has left the page.
+   */
+  static release(video) {
+    const graph = fingerprintGraphs.get(video);
+    if (!graph) return;
+    graph.users = Math.max(0, graph.users - 1);
+    if (graph.users > 0 || video.isConnected) return;
+    fingerprintGraphs.delete(video);
+    try {
+      graph.source.disconnect();
+    } catch (_) {}
+    graph.context.close().catch(() => {});
+  }
+
+  /**
+   * [first, last) analyser bins of each log-spaced band
+   */
+  static bandBins(sampleRate, fftSize) {
+    const { count, minHz, maxHz } = FINGERPRINT_BANDS;
+    const binHz = sampleRate / fftSize;
+    const edge = k => Math.floor((minHz * Math.pow(maxHz / minHz, k / count)) / binHz);
+    const bands = [];
+    for (let k = 0; k < count; k++) {
+      const first = edge(k);
+      bands.push([first, Math.max(first + 1, edge(k + 1))]);
+    }
+    return bands;
+  }
+
+  sample() {
+    const video = this.video;
+    if (!video.isConnected || video.ended || video.currentTime >= this.seconds) {
+      this.finish();
+      return;
+    }
+    if (video.paused || video.seeking) {
+      this.pending = null;
+      return;
+    }
+
+    const index = Math.floor(video.currentTime * this.rate);
+    if (this.pending && this.pending.index !== index) this.closeFrame();
+    if (!this.pending) this.pending = { index, sums: new Array(this.bands.length).fill(0), samples: 0 };
+
+    this.analyser.getByteFrequencyData(this.bins);
+    this.bands.forEach(([first, last], band) => {
+      let sum = 0;
+      for (let bin = first; bin < last; bin++) sum += this.bins[bin];
+      this.pending.sums[band] += sum / (last - first);
+    });
+    this.pending.samples++;
+  }
+
+  /**
+   * Hash the averaged band energies of the finished frame against the frame before it
+   */
+  closeFrame() {
+    const { index, sums, samples } = this.pending;
+    this.pending = null;
+    const energies = sums.map(sum => sum / samples);
+    const previous = this.previous;
+    this.previous = { index, energies };
+
+    const level = energies.reduce((total, energy) => total + energy, 0) / energies.length;
+    if (level < FINGERPRINT_SILENCE_LEVEL || !previous || previous.index !== index - 1) return;
+    if (index >= this.frames.length) return;
+
+    let hash = 0;
+    for (let band = 0; band < energies.length - 1; band++) {
+      const now = energies[band] - energies[band + 1];
+      const before = previous.energies[band] - previous.energies[band + 1];
+      if (now - before > 0) hash |= 1 << band;
+    }
+    this.frames[index] = hash;
+  }
+
+  finish() {
+    this.stop();
+    const onComplete = this.onComplete;
+    this.onComplete = null;
+    if (onComplete && this.frames.some(frame => frame !== null)) onComplete(this.frames.slice());
+  }
+}
+
+class AudioFingerprint {
+  /**
+   * Frames from a recorder, a bridge message or storage; null unless enough of them hold audio
+   */
+  static normalize(frames, rate) {
+    if (!Array.isArray(frames) || !(rate >= 1 && rate <= 4)) return null;
+    const clean = frames.slice(0, 600 * rate).map(frame => (Number.isInteger(frame) && frame >= 0 && frame < 0x10000 ? frame : null));
+    const heard = clean.filter(frame => frame !== null).length;
+    return heard >= FINGERPRINT_MATCH.minSeconds * rate ? clean : null;
+  }
+
+  static bitErrors(a, b) {
+    let x = a ^ b;
+    let count = 0;
+    while (x) {
+      x &= x - 1;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Longest stretch `frames` shares with `other` at any offset, as
+   * { start, end } seconds in `frames`, or null
+   */
+  static match(frames, other, rate) {
+    const { maxBitErrors, windowSeconds, minDensity, minSeconds, maxSeconds } = FINGERPRINT_MATCH;
+    const half = Math.floor((windowSeconds * rate) / 2);
+    let best = null;
+
+    for (let shift = -(other.length - 1); shift < frames.length; shift++) {
+      const from = Math.max(0, shift);
+      const to = Math.min(frames.length, other.length + shift);
+      if (to - from < minSeconds * rate) continue;
+
+      // Prefix sums of frames heard in both and of frames that agree
+      const length = to - from;
+      const heard = new Array(length + 1).fill(0);
+      const agree = new Array(length + 1).fill(0);
+      for (let k = 0; k < length; k++) {
+        const a = frames[from + k];
+        const b = other[from + k - shift];
+        const both = a !== null && b !== null;
+        heard[k + 1] = heard[k] + (both ? 1 : 0);
+        agree[k + 1] = agree[k] + (both && AudioFingerprint.bitErrors(a, b) <= maxBitErrors ? 1 : 0);
+      }
+
+      // Frames whose surrounding window mostly agrees form runs; each run is
+      // trimmed to its first and last agreeing frame
+      let runStart = -1;
+      for (let k = 0; k <= length; k++) {
+        let inside = false;
+        if (k < length) {
+          const lo = Math.max(0, k - half);
+          const hi = Math.min(length, k + half + 1);
+          const heardInWindow = heard[hi] - heard[lo];
+          inside = heardInWindow >= half && (agree[hi] - agree[lo]) / heardInWindow >= minDensity;
+        }
+        if (inside && runStart < 0) runStart = k;
+        if (inside || runStart < 0) continue;
+
+        let first = runStart;
+        let last = k - 1;
+        while (first <= last && agree[first + 1] === agree[first]) first++;
+        while (last >= first && agree[last + 1] === agree[last]) last--;
+        runStart = -1;
+
+        const seconds = (last - first + 1) / rate;
+        if (seconds >= minSeconds && seconds <= maxSeconds && (!best || seconds > best.end - best.start)) {
+          best = { start: (from + first) / rate, end: (from + last + 1) / rate };
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Longest match against any earlier episode: { start, end, episode } or null
+   */
+  static bestMatch(frames, rate, prints) {
+    let best = null;
+    prints.forEach((print) => {
+      if (print.rate !== rate) return;
+      const match = AudioFingerprint.match(frames, print.frames, rate);
+      if (match && (!best || match.end - match.start > best.end - best.start)) {
+        best = { ...match, episode: print.episode };
+      }
+    });
+    return best;
+  }
+}
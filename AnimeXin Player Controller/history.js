@@ -0,0 +1,162 @@
+/**
+ * AnimeXin Player Controller - Watch History
+ * Owned by the background worker; content scripts report progress with
+ * `logWatchProgress` messages and the popup reads it with `getWatchHistory`.
+ *
+ * Stored in chrome.storage.local under one key:
+ * { [series]: { series, updatedAt, lastEpisodeKey, episodes: { [key]: episode } } }
+ * where an episode is { episode, url, nextUrl, position, duration, watchedSeconds, completed, timestamp }.
+ */
+
+class WatchHistory {
+  constructor() {
+    this.storageKey = 'watchHistory';
+    this.maxSeries = 200;
+    this.maxEpisodesPerSeries = 300;
+    // Reads and writes share one key, so updates are applied one at a time
+    this.queue = Promise.resolve();
+  }
+
+  async getAll() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const history = result && result[this.storageKey];
+    return history && typeof history === 'object' ? history : {};
+  }
+
+  /**
+   * Merge one progress report into the series record
+   */
+  record(report) {
+    const entry = this.normalizeReport(report);
+    if (!entry) return Promise.reject(new Error('Invalid watch progress'));
+
+    const task = this.queue.then(async () => {
+      const history = await this.getAll();
+      const record = history[entry.series] || { series: entry.series, episodes: {} };
+      const key = entry.episode !== null ? String(entry.episode) : entry.path;
+      const previous = record.episodes[key] || {};
+
+      record.episodes[key] = {
+        episode: entry.episode,
+        url: entry.url,
+        nextUrl: entry.nextUrl || previous.nextUrl || null,
+        position: entry.position,
+        duration: entry.duration || previous.duration || 0,
+        watchedSeconds: (previous.watchedSeconds || 0) + entry.watchedDelta,
+        // Once finished an episode stays finished, even when rewatched partially
+        completed: entry.completed || !!previous.completed,
+        timestamp: Date.now()
+      };
+      record.lastEpisodeKey = key;
+      record.updatedAt = Date.now();
+      this.trimEpisodes(record);
+
+      history[entry.series] = record;
+      this.trimSeries(history);
+      await chrome.storage.local.set({ [this.storageKey]: history });
+      return record;
+    });
+
+    // Keep the queue alive after a failed write
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  normalizeReport(report) {
+    if (!report || typeof report !== 'object') return null;
+
+    const series = typeof report.series === 'string' ? report.series.replace(/[^a-z0-9\-_]/g, '').substring(0, 100) : '';
+    const url = this.normalizeUrl(report.url);
+    if (!series || series === 'unknown' || !url) return null;
+
+    const seconds = (value) => {
+      const num = Number(value);
+      return Number.isFinite(num) && num > 0 ? Math.min(Math.floor(num), 86400) : 0;
+    };
+    const episode = Number(report.episode);
+
+    return {
+      series,
+      url,
+      path: new URL(url).pathname.replace(/^\/+|\/+$/g, ''),
+      nextUrl: this.normalizeUrl(report.nextUrl),
+      episode: Number.isFinite(episode) && episode > 0 ? episode : null,
+      position: seconds(report.position),
+      duration: seconds(report.duration),
+      watchedDelta: seconds(report.watchedDelta),
+      completed: report.completed === true
+    };
+  }
+
+  /**
+   * Only AnimeXin episode pages are kept, so the popup never links elsewhere
+   */
+  normalizeUrl(value) {
+    try {
+      const url = new URL(String(value || ''));
+      if (url.protocol !== 'https:' || !/(^|\.)animexin\.dev$/i.test(url.hostname)) return null;
+      url.hash = '';
+      return url.toString();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  trimEpisodes(record) {
+    const keys = Object.keys(record.episodes);
+    if (keys.length <= this.maxEpisodesPerSeries) return;
+    keys
+      .sort((a, b) => (record.episodes[b].timestamp || 0) - (record.episodes[a].timestamp || 0))
+      .slice(this.maxEpisodesPerSeries)
+      .forEach(key => delete record.episodes[key]);
+  }
+
+  trimSeries(history) {
+    const keys = Object.keys(history);
+    if (keys.length <= this.maxSeries) return;
+    keys
+      .sort((a, b) => (history[b].updatedAt || 0) - (history[a].updatedAt || 0))
+      .slice(this.maxSeries)
+      .forEach(key => delete history[key]);
+  }
+
+  /**
+   * Per-series summaries, most recently watched first
+   */
+  async list() {
+    const history = await this.getAll();
+    return Object.values(history)
+      .filter(record => record && record.episodes && record.episodes[record.lastEpisodeKey])
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+      .map(record => this.summarize(record));
+  }
+
+  summarize(record) {
+    const last = record.episodes[record.lastEpisodeKey];
+    const episodes = Object.values(record.episodes);
+    const progress = last.completed
+      ? 100
+      : (last.duration > 0 ? Math.min(99, Math.round((last.position / last.duration) * 100)) : 0);
+    // Finished episodes continue with the next one when its link is known
+    const continueUrl = last.completed && last.nextUrl ? last.nextUrl : last.url;
+
+    return {
+      series: record.series,
+      updatedAt: record.updatedAt,
+      lastEpisode: last.episode,
+      lastUrl: last.url,
+      progress,
+      completed: last.completed,
+      continueUrl,
+      continuesNext: continueUrl !== last.url,
+      episodesWatched: episodes.length,
+      episodesCompleted: episodes.filter(ep => ep.completed).length,
+      watchedSeconds: episodes.reduce((total, ep) => total + (ep.watchedSeconds || 0), 0)
+    };
+  }
+
+  async clear() {
+    await this.queue;
+    await chrome.storage.local.remove(this.storageKey);
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * AnimeXin Player Controller - Keyboard Shortcuts
+ * Two routes trigger the same actions:
+ * - in-page hotkeys (remappable in the popup), handled on the AnimeXin page itself
+ * - manifest `commands` (chrome://extensions/shortcuts), relayed by the background
+ *   worker as `runHotkey` messages; these also work while the player iframe has focus
+ *
+ * Shared by the content script (handling) and the popup (remapping).
+ */
+
+const HOTKEY_ACTIONS = [
+  { id: 'skip-intro', label: 'Skip intro now', key: 'Alt+I' },
+  { id: 'next-episode', label: 'Skip outro / next episode', key: 'Alt+N' },
+  { id: 'previous-episode', label: 'Previous episode', key: 'Alt+P' },
+  { id: 'seek-forward', label: 'Seek forward 5s', key: 'Alt+L' },
+  { id: 'seek-back', label: 'Seek back 5s', key: 'Alt+J' },
+  { id: 'seek-forward-long', label: 'Seek forward 85s', key: 'Alt+Shift+L' },
+  { id: 'seek-back-long', label: 'Seek back 85s', key: 'Alt+Shift+J' },
+  { id: 'toggle-panel', label: 'Toggle floating panel', key: 'Alt+S' },
+  { id: 'toggle-auto-nav', label: 'Toggle auto next episode', key: 'Alt+A' },
+  { id: 'mark-intro', label: 'Mark intro end here', key: 'Alt+M' },
+  { id: 'mark-outro', label: 'Mark outro start here', key: 'Alt+O' },
+  { id: 'speed-up', label: 'Faster playback', key: 'Alt+ArrowUp' },
+  { id: 'speed-down', label: 'Slower playback', key: 'Alt+ArrowDown' },
+  { id: 'speed-reset', label: 'Normal speed', key: 'Alt+0' }
+];
+
+// Earlier defaults the browser keeps for Back/Forward; saved maps still holding them get the new ones
+const HOTKEY_RETIRED_DEFAULTS = {
+  'seek-forward': 'Alt+ArrowRight',
+  'seek-back': 'Alt+ArrowLeft',
+  'seek-forward-long': 'Alt+Shift+ArrowRight',
+  'seek-back-long': 'Alt+Shift+ArrowLeft'
+};
+
+const HOTKEY_MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'];
+
+class HotkeyMap {
+  constructor(bindings) {
+    this.bindings = HotkeyMap.normalize(bindings);
+  }
+
+  static defaults() {
+    return HOTKEY_ACTIONS.reduce((map, action) => ({ ...map, [action.id]: action.key }), {});
+  }
+
+  static isAction(id) {
+    return HOTKEY_ACTIONS.some(action => action.id === id);
+  }
+
+  /**
+   * Defaults overlaid with stored bindings; '' unbinds an action
+   */
+  static normalize(bindings) {
+    const map = HotkeyMap.defaults();
+    if (!bindings || typeof bindings !== 'object') return map;
+
+    Object.keys(bindings).forEach((id) => {
+      const key = bindings[id];
+      if (HotkeyMap.isAction(id) && typeof key === 'string' && key.length <= 40 && key !== HOTKEY_RETIRED_DEFAULTS[id]) {
+        map[id] = key;
+      }
+    });
+    return map;
+  }
+
+  /**
+   * KeyboardEvent -> "Ctrl+Alt+Shift+Meta+Key", or null for a bare modifier.
+   * Letters and digits come from event.code so Alt/Option combinations stay readable.
+   */
+  static fromEvent(event) {
+    if (!event || !event.key || HOTKEY_MODIFIER_KEYS.includes(event.key)) return null;
+
+    let key = event.key;
+    if (/^Key[A-Z]$/.test(event.code || '')) key = event.code.substring(3);
+    else if (/^Digit\d$/.test(event.code || '')) key = event.code.substring(5);
+    else if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  actionFor(key) {
+    if (!key) return null;
+    return Object.keys(this.bindings).find(id => this.bindings[id] === key) || null;
+  }
+}
+
+/**
+ * In-page hotkeys for the AnimeXin page (top frame only)
+ */
+class HotkeyHandler {
+  constructor(controller) {
+    this.controller = controller;
+    this.map = new HotkeyMap();
+    this.bound = false;
+  }
+
+  applyGlobalSettings(globals) {
+    this.map = new HotkeyMap(globals?.hotkeys);
+  }
+
+  bind() {
+    if (this.bound) return;
+    this.bound = true;
+    // Capture phase so page scripts cannot swallow our combinations first
+    document.addEventListener('keydown', (event) => this.handleKeydown(event), true);
+  }
+
+  handleKeydown(event) {
+    try {
+      if (event.defaultPrevented || this.isTyping(event.target)) return;
+
+      const action = this.map.actionFor(HotkeyMap.fromEvent(event));
+      if (!action) return;
+      // Holding a seek key keeps seeking; everything else fires once per press
+      if (event.repeat && !action.startsWith('seek-')) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      this.controller.runHotkeyAction(action);
+    } catch (error) {
+      this.controller.errorReporter.reportError('Hotkey handling failed', error);
+    }
+  }
+
+  isTyping(target) {
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+}
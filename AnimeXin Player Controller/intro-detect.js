@@ -0,0 +1,237 @@
+/**
+ * AnimeXin Player Controller - Intro Detection
+ * Opt-in through the `introDetection` global preference:
+ * - off:     nothing is recorded
+ * - suggest: an intro found in the audio is offered as this series' intro skip
+ * - auto:    it is saved straight away when the series has no intro yet, and offered otherwise
+ *
+ * The first minutes of each episode are fingerprinted (fingerprint.js) by the page for
+ * HTML5 players and by dm-bridge.js inside Dailymotion frames. The last few fingerprints
+ * per series are kept locally; the stretch an episode shares with an earlier one is the
+ * intro. One that starts right away becomes the intro skip time, one after a cold open
+ * an "intro" skip segment.
+ *
+ * Shared by the content script (detection) and the popup (preference).
+ */
+
+const INTRO_DETECTION_MODES = ['off', 'suggest', 'auto'];
+const INTRO_DETECTION_DEFAULT_MODE = 'off';
+const MAX_FINGERPRINT_EPISODES = 4;
+// Intros starting this early are skipped with the intro skip time instead of a segment
+const INTRO_START_SLACK_SECONDS = 5;
+// Detected and saved intros this close together are the same intro
+const INTRO_MATCH_TOLERANCE_SECONDS = 2;
+
+class IntroDetector {
+  constructor(controller) {
+    this.controller = controller;
+    this.mode = INTRO_DETECTION_DEFAULT_MODE;
+    this.recorder = null;
+    this.generation = null;
+    this.prompt = null;
+    this.promptTimer = null;
+    this.promptTimeoutMs = 30000;
+  }
+
+  static normalizeMode(mode) {
+    return INTRO_DETECTION_MODES.includes(mode) ? mode : INTRO_DETECTION_DEFAULT_MODE;
+  }
+
+  /**
+   * Detected { start, end } -> { introSkipStart } or { segment }
+   */
+  static toSettings(range) {
+    const start = Math.floor(range.start);
+    const end = Math.ceil(range.end);
+    if (start <= INTRO_START_SLACK_SECONDS) return { introSkipStart: end };
+    return { segment: { name: 'intro', start, end, action: 'skip' } };
+  }
+
+  applyGlobalSettings(globals) {
+    this.mode = IntroDetector.normalizeMode(globals?.introDetection);
+    if (this.mode === 'off') this.stop();
+  }
+
+  /**
+   * Record this episode from its first play; once per mirror
+   */
+  start() {
+    const controller = this.controller;
+    if (this.mode === 'off' || !controller.isTopFrame) return;
+    if (controller.currentEpisode === null || controller.currentSeries === 'unknown') return;
+    const generation = controller.failover.generation;
+    if (this.generation === generation) return;
+
+    const adapter = controller.playerAdapter;
+    if (adapter?.kind === 'video' && controller.html5Video) {
+      this.generation = generation;
+      const recorder = new FingerprintRecorder(controller.html5Video, FINGERPRINT_DEFAULTS);
+      this.recorder = recorder;
+      recorder.start(frames => this.handleFingerprint({ frames, rate: recorder.rate })).then((started) => {
+        if (!started && this.recorder === recorder) this.unavailable();
+      });
+    } else if (adapter?.id === 'dailymotion') {
+      this.generation = generation;
+      controller.sendPlayerCommand('fingerprint_start', FINGERPRINT_DEFAULTS);
+    }
+  }
+
+  stop() {
+    if (this.generation === null) return;
+    if (this.recorder) this.recorder.stop();
+    else this.controller.sendPlayerCommand('fingerprint_stop');
+    this.recorder = null;
+    this.generation = null;
+  }
+
+  /**
+   * Web Audio could not start (usually no user gesture yet); the next play tries again
+   */
+  unavailable() {
+    console.log('Intro detection: audio capture unavailable, retrying on next play');
+    this.recorder = null;
+    this.generation = null;
+  }
+
+  /**
+   * Store this episode's fingerprint and look for the stretch it shares with earlier ones
+   */
+  async handleFingerprint(data) {
+    const controller = this.controller;
+    try {
+      if (this.mode === 'off') return;
+      const rate = Number(data?.rate);
+      const frames = AudioFingerprint.normalize(data?.frames, rate);
+      if (!frames) {
+        console.log('Intro detection: too little audio recorded');
+        return;
+      }
+
+      const series = controller.currentSeries;
+      const episode = String(controller.currentEpisode);
+      const store = controller.settingsStore;
+      const others = (await store.getFingerprints(series))
+        .filter(print => print && print.episode !== episode && AudioFingerprint.normalize(print.frames, print.rate));
+      const match = AudioFingerprint.bestMatch(frames, rate, others);
+      await store.setFingerprints(series, [{ episode, rate, frames }, ...others].slice(0, MAX_FINGERPRINT_EPISODES));
+
+      if (!match) {
+        console.log(`Intro detection: nothing shared with ${others.length} earlier episode(s)`);
+        return;
+      }
+      console.log(`Intro detection: ${this.describe(match)} matches episode ${match.episode}`);
+      this.propose(match);
+    } catch (error) {
+      controller.errorReporter.reportError('Intro detection failed', error, {
+        series: controller.currentSeries
+      });
+    }
+  }
+
+  describe(range) {
+    return `${this.controller.formatTime(range.start)}–${this.controller.formatTime(range.end)}`;
+  }
+
+  propose(range) {
+    const settings = IntroDetector.toSettings(range);
+    if (this.isSaved(settings)) return;
+    if (this.mode === 'auto' && !this.hasIntro()) {
+      this.save(settings, range);
+      return;
+    }
+    this.offer(settings, range);
+  }
+
+  /**
+   * Whether the series sets an intro of its own (defaults from all series do not count)
+   */
+  hasIntro() {
+    const { seriesSettings, skipSegments } = this.controller;
+    return SettingsLayers.read(seriesSettings || {}, 'introSkipStart') > 0 || skipSegments.some(segment => segment.name === 'intro');
+  }
+
+  isSaved(settings) {
+    const close = (a, b) => typeof a === 'number' && Math.abs(a - b) <= INTRO_MATCH_TOLERANCE_SECONDS;
+    const { seriesSettings, skipSegments } = this.controller;
+    if ('introSkipStart' in settings) {
+      return close(SettingsLayers.read(seriesSettings || {}, 'introSkipStart'), settings.introSkipStart);
+    }
+    return skipSegments.some(segment => segment.name === 'intro'
+      && close(segment.start, settings.segment.start) && close(segment.end, settings.segment.end));
+  }
+
+  /**
+   * Save as the series intro; a detected segment replaces any other intro segment
+   */
+  async save(settings, range) {
+    const controller = this.controller;
+    try {
+      const patch = { timestamp: Date.now() };
+      if ('introSkipStart' in settings) {
+        patch.introSkipStart = settings.introSkipStart;
+      } else {
+        patch.segments = SkipSegments.normalizeList([
+          ...controller.skipSegments.filter(segment => segment.name !== 'intro'),
+          settings.segment
+        ]);
+      }
+      await controller.settingsStore.updateSeries(controller.currentSeries, patch);
+      controller.showUserNotification(`Intro ${this.describe(range)} saved for this series`);
+    } catch (error) {
+      controller.errorReporter.reportError('Detected intro saving failed', error, {
+        series: controller.currentSeries
+      });
+    }
+  }
+
+  /**
+   * "Intro found at m:ss–m:ss" prompt; dismisses itself after promptTimeoutMs
+   */
+  offer(settings, range) {
+    if (!document.body || this.prompt) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'animexin-intro-prompt';
+    prompt.setAttribute('role', 'alertdialog');
+    prompt.setAttribute('aria-label', 'Detected intro');
+
+    const text = document.createElement('span');
+    text.textContent = `Intro found at ${this.describe(range)}. Skip it in this series?`;
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'animexin-overlay-btn';
+    saveBtn.textContent = 'Save';
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.type = 'button';
+    dismissBtn.className = 'animexin-overlay-btn secondary';
+    dismissBtn.textContent = 'Not now';
+
+    saveBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.dismiss();
+      this.save(settings, range);
+    });
+    dismissBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.dismiss();
+    });
+
+    prompt.append(text, saveBtn, dismissBtn);
+    document.body.appendChild(prompt);
+    this.prompt = prompt;
+    this.promptTimer = setTimeout(() => this.dismiss(), this.promptTimeoutMs);
+  }
+
+  dismiss() {
+    if (this.promptTimer) {
+      clearTimeout(this.promptTimer);
+      this.promptTimer = null;
+    }
+    if (this.prompt) {
+      this.prompt.remove();
+      this.prompt = null;
+    }
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * AnimeXin Player Controller - Settings Layers
+ * Intro/outro timings resolve from the least to the most specific layer:
+ *   global defaults -> series -> episode range -> single episode
+ * Each layer only replaces the fields it sets, so "episodes 400+ have the outro at 17:20"
+ * leaves the series intro (and every episode before 400) untouched.
+ *
+ * Overrides live in the series settings as `overrides: [{ from, to, ...fields }]`;
+ * `to: null` is open-ended and `from === to` targets one episode.
+ * `outroStart` is a time spec (see timing.js); layers saved before it existed
+ * carry `outroStartSeconds` / `outroSkipDuration` instead, read by `read()`.
+ * Shared by the content script (resolution, saving) and the popup (sources, listing).
+ */
+
+const TIMING_FIELDS = ['introSkipStart', 'outroStart'];
+
+const LAYER_SOURCES = {
+  global: 'All series',
+  series: 'This series'
+};
+
+const MAX_OVERRIDES = 50;
+
+class SettingsLayers {
+  static seconds(value) {
+    const num = Number(value);
+    return value !== null && value !== '' && Number.isFinite(num) && num >= 0 && num <= 86400 ? Math.floor(num) : null;
+  }
+
+  static episodeNumber(value) {
+    const num = Number(value);
+    return value !== null && value !== '' && Number.isInteger(num) && num >= 0 && num <= 100000 ? num : null;
+  }
+
+  /**
+   * One timing field of a layer, null when the layer does not set it
+   */
+  static read(layer, field) {
+    if (field === 'introSkipStart') return SettingsLayers.seconds(layer.introSkipStart);
+    if (layer.outroStart !== undefined) return TimeSpec.normalize(layer.outroStart);
+
+    // Older layers: an absolute start wins over the "seconds before end" fallback
+    const start = SettingsLayers.seconds(layer.outroStartSeconds);
+    const beforeEnd = SettingsLayers.seconds(layer.outroSkipDuration);
+    if (start > 0) return start;
+    if (beforeEnd > 0) return `-${beforeEnd}`;
+    return start ?? beforeEnd;
+  }
+
+  /**
+   * Sanitize one override; returns null when it has no usable range or field
+   */
+  static normalizeOverride(override) {
+    if (!override || typeof override !== 'object') return null;
+
+    const from = SettingsLayers.episodeNumber(override.from);
+    const to = override.to === null || override.to === undefined || override.to === '' ? null : SettingsLayers.episodeNumber(override.to);
+    if (from === null || (to !== null && to < from)) return null;
+
+    const normalized = { from, to };
+    TIMING_FIELDS.forEach((field) => {
+      const value = SettingsLayers.read(override, field);
+      if (value !== null) normalized[field] = value;
+    });
+    return Object.keys(normalized).length > 2 ? normalized : null;
+  }
+
+  /**
+   * Sanitized list in application order: open ranges, then bounded ranges
+   * (widest first), then single episodes; later entries win
+   */
+  static normalizeList(overrides) {
+    if (!Array.isArray(overrides)) return [];
+    const span = (o) => (o.to === null ? Infinity : o.to - o.from);
+    return overrides
+      .map(SettingsLayers.normalizeOverride)
+      .filter(Boolean)
+      .slice(0, MAX_OVERRIDES)
+      .sort((a, b) => (span(b) - span(a)) || (a.from - b.from));
+  }
+
+  static matches(override, episode) {
+    if (episode === null || episode === undefined) return false;
+    return episode >= override.from && (override.to === null || episode <= override.to);
+  }
+
+  static sameScope(a, b) {
+    return a.from === b.from && a.to === b.to;
+  }
+
+  static scopeLabel(override) {
+    if (override.to === override.from) return `Episode ${override.from}`;
+    if (override.to === null) return `Episodes ${override.from}+`;
+    return `Episodes ${override.from}–${override.to}`;
+  }
+
+  /**
+   * Effective timings for one episode with the layer each value came from.
+   * A 0 in the global or series layer means "not set" (that is what older
+   * versions stored); in an override it is an explicit "none for these episodes".
+   */
+  static resolve(defaults, series, episode) {
+    const values = {};
+    const sources = {};
+    TIMING_FIELDS.forEach((field) => {
+      values[field] = 0;
+      sources[field] = null;
+    });
+
+    const apply = (layer, source, zeroIsUnset) => {
+      if (!layer) return;
+      TIMING_FIELDS.forEach((field) => {
+        const value = SettingsLayers.read(layer, field);
+        if (value === null || (zeroIsUnset && value === 0)) return;
+        values[field] = value;
+        sources[field] = source;
+      });
+    };
+
+    apply(defaults, LAYER_SOURCES.global, true);
+    apply(series, LAYER_SOURCES.series, true);
+    SettingsLayers.normalizeList(series?.overrides)
+      .filter(override => SettingsLayers.matches(override, episode))
+      .forEach(override => apply(override, SettingsLayers.scopeLabel(override), false));
+
+    return { values, sources };
+  }
+
+  /**
+   * Replace the override with the same range (or add it); an override without
+   * fields removes that range
+   */
+  static upsert(overrides, override) {
+    const list = SettingsLayers.normalizeList(overrides).filter(o => !SettingsLayers.sameScope(o, override));
+    const normalized = SettingsLayers.normalizeOverride(override);
+    return normalized ? SettingsLayers.normalizeList([...list, normalized]) : list;
+  }
+
+  static describe(override) {
+    const parts = [];
+    if ('introSkipStart' in override) parts.push(`intro ${TimeSpec.format(override.introSkipStart)}`);
+    if ('outroStart' in override) parts.push(`outro ${TimeSpec.format(override.outroStart)}`);
+    return `${SettingsLayers.scopeLabel(override)}: ${parts.join(', ')}`;
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * AnimeXin Mega.nz Bridge
+ * Injected into https://mega.nz/embed* iframes so Mega mirrors answer the
+ * same dm_bridge_command / dm_bridge_event protocol as the Dailymotion bridge.
+ *
+ * Mega decrypts the stream only after its own play button is pressed, so
+ * `play` clicks that button while no <video> is mounted yet.
+ */
+
+(function () {
+  try {
+    if (!window.AnimeXinBridge) return;
+
+    window.AnimeXinBridge.create({
+      provider: 'mega',
+      videoSelector: '.video-block video, video',
+      fullscreenSelector: '.video-block',
+      playButtonSelector: '.play-video-button'
+    });
+  } catch (e) {
+    // Silent fail inside third-party frame
+  }
+})();
@@ -0,0 +1,23 @@
+/**
+ * AnimeXin Ok.ru Bridge
+ * Injected into https://ok.ru/videoembed/* iframes so Ok.ru mirrors answer the
+ * same dm_bridge_command / dm_bridge_event protocol as the Dailymotion bridge.
+ *
+ * Ok.ru renders a poster with its own play overlay and only mounts the <video>
+ * after the first click, so `play` falls back to clicking that overlay.
+ */
+
+(function () {
+  try {
+    if (!window.AnimeXinBridge) return;
+
+    window.AnimeXinBridge.create({
+      provider: 'okru',
+      videoSelector: 'video',
+      fullscreenSelector: '.html5-vpl',
+      playButtonSelector: '.html5-vpl_vid_display, .vid-card_cnt'
+    });
+  } catch (e) {
+    // Silent fail inside third-party frame
+  }
+})();
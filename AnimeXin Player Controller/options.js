@@ -0,0 +1,380 @@
+/**
+ * AnimeXin Player Controller - Series Settings Page
+ * Options page listing every stored series profile:
+ * - search by slug or title
+ * - inline editing of the series intro/outro timings (other profile fields are kept)
+ * - bulk delete of the selected series
+ * - last used date and a link to the latest watched episode from the watch history
+ * - the aliases that share each profile (see series.js)
+ */
+
+class SeriesManager {
+  constructor() {
+    this.settingsStore = new SettingsStore();
+    this.allSeries = {};
+    this.history = {};
+    this.aliases = {};
+    this.query = '';
+    this.notificationTimeout = null;
+    this.domCache = new Map();
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      this.setupEventListeners();
+      await this.loadSeries();
+      this.settingsStore.onSeriesChanged((series, settings) => {
+        if (settings) this.allSeries[series] = settings;
+        else delete this.allSeries[series];
+        this.renderSeries();
+      });
+      this.settingsStore.onGlobalChanged((globals) => {
+        this.aliases = SeriesKey.normalizeAliases(globals.seriesAliases);
+        this.renderSeries();
+      });
+    } catch (error) {
+      this.handleError('Failed to load series settings', error);
+    }
+  }
+
+  getElement(id) {
+    if (!this.domCache.has(id)) {
+      const element = document.getElementById(id);
+      if (element) this.domCache.set(id, element);
+    }
+    return this.domCache.get(id) || null;
+  }
+
+  setupEventListeners() {
+    this.getElement('series-search')?.addEventListener('input', (e) => {
+      this.query = e.target.value.trim().toLowerCase();
+      this.renderSeries();
+    });
+
+    this.getElement('select-all')?.addEventListener('change', (e) => {
+      this.rowCheckboxes().forEach((checkbox) => {
+        checkbox.checked = e.target.checked;
+      });
+      this.updateSelection();
+    });
+
+    this.getElement('delete-selected')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.deleteSelected();
+    });
+
+    const rows = this.getElement('series-rows');
+    rows?.addEventListener('change', (e) => {
+      if (e.target.matches('input[type="checkbox"]')) this.updateSelection();
+    });
+    rows?.addEventListener('input', (e) => {
+      const row = e.target.closest('tr');
+      if (!row || !e.target.matches('input[type="text"]')) return;
+      row.dataset.dirty = 'true';
+      e.target.classList.remove('invalid');
+      const saveBtn = row.querySelector('button[data-action="save"]');
+      if (saveBtn) saveBtn.disabled = false;
+    });
+    rows?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.matches('input[type="text"]')) {
+        e.preventDefault();
+        this.saveRow(e.target.closest('tr'));
+      }
+    });
+    rows?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="save"]');
+      if (button) this.saveRow(button.closest('tr'));
+    });
+  }
+
+  /**
+   * Stored profiles plus the watch history summaries (for last used and latest episode)
+   */
+  async loadSeries() {
+    this.allSeries = await this.settingsStore.getAllSeries();
+    this.aliases = SeriesKey.normalizeAliases((await this.settingsStore.getGlobal()).seriesAliases);
+    this.history = {};
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getWatchHistory' });
+      if (!response?.success) throw new Error(response?.error || 'Background service unavailable');
+      response.history.forEach((entry) => {
+        this.history[entry.series] = entry;
+      });
+    } catch (error) {
+      // The list is still useful without history; only dates and links are missing
+      console.warn('Watch history unavailable:', error?.message || error);
+    }
+
+    this.renderSeries();
+  }
+
+  lastUsed(series) {
+    return Math.max(Number(this.allSeries[series]?.timestamp) || 0, this.history[series]?.updatedAt || 0);
+  }
+
+  formatSeriesName(slug) {
+    return String(slug || '')
+      .split('-')
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Series matching the search, most recently used first
+   */
+  visibleSeries() {
+    return Object.keys(this.allSeries)
+      .filter(series => !this.query || series.includes(this.query) ||
+        this.formatSeriesName(series).toLowerCase().includes(this.query) ||
+        SeriesKey.aliasesOf(series, this.aliases).some(alias => alias.includes(this.query)))
+      .sort((a, b) => (this.lastUsed(b) - this.lastUsed(a)) || a.localeCompare(b));
+  }
+
+  renderSeries() {
+    const rows = this.getElement('series-rows');
+    const empty = this.getElement('series-empty');
+    if (!rows) return;
+
+    // Unsaved edits and selections survive a re-render (search, changes from other tabs)
+    const drafts = new Map();
+    rows.querySelectorAll('tr').forEach((row) => {
+      drafts.set(row.dataset.series, {
+        selected: row.querySelector('input[type="checkbox"]')?.checked,
+        intro: row.dataset.dirty ? row.querySelector('input[data-field="intro"]')?.value : undefined,
+        outro: row.dataset.dirty ? row.querySelector('input[data-field="outro"]')?.value : undefined
+      });
+    });
+
+    const visible = this.visibleSeries();
+    rows.textContent = '';
+    visible.forEach(series => rows.appendChild(this.renderRow(series, drafts.get(series))));
+
+    if (empty) {
+      empty.style.display = visible.length > 0 ? 'none' : 'block';
+      empty.textContent = Object.keys(this.allSeries).length > 0
+        ? 'No series match your search.'
+        : 'No series settings saved yet.';
+    }
+    this.updateSelection();
+  }
+
+  renderRow(series, draft = {}) {
+    const settings = this.allSeries[series] || {};
+    const title = this.formatSeriesName(series);
+    const row = document.createElement('tr');
+    row.dataset.series = series;
+
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(draft.selected);
+    checkbox.setAttribute('aria-label', `Select ${title}`);
+    selectCell.appendChild(checkbox);
+
+    const nameCell = document.createElement('td');
+    const name = document.createElement('span');
+    name.className = 'series-name';
+    name.textContent = title;
+    const meta = document.createElement('span');
+    meta.className = 'series-meta';
+    const details = [series];
+    const overrides = SettingsLayers.normalizeList(settings.overrides).length;
+    if (overrides > 0) details.push(`${overrides} episode override${overrides === 1 ? '' : 's'}`);
+    if (Array.isArray(settings.segments) && settings.segments.length > 0) {
+      details.push(`${settings.segments.length} segment${settings.segments.length === 1 ? '' : 's'}`);
+    }
+    if (settings.pack?.name) details.push(`from ${settings.pack.name}`);
+    const aliases = SeriesKey.aliasesOf(series, this.aliases);
+    if (aliases.length > 0) details.push(`also ${aliases.join(', ')}`);
+    meta.textContent = details.join(' · ');
+    nameCell.append(name, meta);
+
+    const intro = SettingsLayers.read(settings, 'introSkipStart');
+    const outro = SettingsLayers.read(settings, 'outroStart');
+    const introCell = document.createElement('td');
+    introCell.appendChild(this.timeInput('intro', draft.intro ?? (intro > 0 ? TimeSpec.format(intro) : ''), `Intro for ${title}`));
+    const outroCell = document.createElement('td');
+    outroCell.appendChild(this.timeInput('outro', draft.outro ?? (outro ? TimeSpec.format(outro) : ''), `Outro for ${title}`));
+    if (draft.intro !== undefined) row.dataset.dirty = 'true';
+
+    const usedCell = document.createElement('td');
+    const lastUsed = this.lastUsed(series);
+    usedCell.textContent = lastUsed > 0 ? new Date(lastUsed).toLocaleDateString() : '—';
+
+    const episodeCell = document.createElement('td');
+    const entry = this.history[series];
+    if (entry && this.isEpisodeUrl(entry.continueUrl)) {
+      const link = document.createElement('a');
+      link.href = entry.continueUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      const episode = entry.lastEpisode ? `Episode ${entry.lastEpisode}` : 'Last episode';
+      link.textContent = entry.continuesNext ? `After ${episode} ▶` : `${episode} ▶`;
+      episodeCell.appendChild(link);
+    } else {
+      episodeCell.textContent = '—';
+    }
+
+    const actionCell = document.createElement('td');
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'secondary-btn';
+    saveBtn.dataset.action = 'save';
+    saveBtn.textContent = 'Save';
+    saveBtn.disabled = !row.dataset.dirty;
+    saveBtn.setAttribute('aria-label', `Save timings for ${title}`);
+    actionCell.appendChild(saveBtn);
+
+    row.append(selectCell, nameCell, introCell, outroCell, usedCell, episodeCell, actionCell);
+    return row;
+  }
+
+  timeInput(field, value, label) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.field = field;
+    input.value = value;
+    input.placeholder = field === 'intro' ? 'mm:ss' : 'mm:ss / -mm:ss / %';
+    input.maxLength = 10;
+    input.setAttribute('aria-label', label);
+    return input;
+  }
+
+  /**
+   * Only AnimeXin episode pages are linked (history already filters, this guards old entries)
+   */
+  isEpisodeUrl(value) {
+    try {
+      const url = new URL(String(value || ''));
+      return url.protocol === 'https:' && /(^|\.)animexin\.dev$/i.test(url.hostname);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async saveRow(row) {
+    const series = row?.dataset.series;
+    if (!series || !row.dataset.dirty) return;
+
+    const introInput = row.querySelector('input[data-field="intro"]');
+    const outroInput = row.querySelector('input[data-field="outro"]');
+    const introText = introInput?.value.trim() || '';
+    const outroText = outroInput?.value.trim() || '';
+    const introSkipStart = introText ? TimeSpec.parseClock(introText) : 0;
+    const outroStart = outroText ? TimeSpec.parse(outroText) : 0;
+
+    if (introSkipStart === null) {
+      introInput.classList.add('invalid');
+      this.showNotification('Intro must be mm:ss or hh:mm:ss', 'error');
+      return;
+    }
+    if (outroStart === null) {
+      outroInput.classList.add('invalid');
+      this.showNotification('Outro must be mm:ss, -mm:ss (before the end) or a percentage', 'error');
+      return;
+    }
+    if (typeof outroStart === 'number' && outroStart > 0 && outroStart <= introSkipStart) {
+      outroInput.classList.add('invalid');
+      this.showNotification('Outro must start after the intro skip time', 'error');
+      return;
+    }
+
+    try {
+      delete row.dataset.dirty;
+      this.allSeries[series] = await this.settingsStore.updateSeries(series, {
+        introSkipStart,
+        outroStart,
+        timestamp: Date.now()
+      });
+      this.renderSeries();
+      this.showNotification(`Saved ${this.formatSeriesName(series)}`, 'success');
+    } catch (error) {
+      row.dataset.dirty = 'true';
+      this.handleError('Failed to save series settings', error);
+    }
+  }
+
+  rowCheckboxes() {
+    return Array.from(document.querySelectorAll('#series-rows input[type="checkbox"]'));
+  }
+
+  updateSelection() {
+    const checkboxes = this.rowCheckboxes();
+    const selected = checkboxes.filter(checkbox => checkbox.checked).length;
+    const deleteBtn = this.getElement('delete-selected');
+    const selectAll = this.getElement('select-all');
+
+    if (deleteBtn) {
+      deleteBtn.disabled = selected === 0;
+      deleteBtn.textContent = selected > 0 ? `🗑️ Delete Selected (${selected})` : '🗑️ Delete Selected';
+    }
+    if (selectAll) {
+      selectAll.checked = checkboxes.length > 0 && selected === checkboxes.length;
+      selectAll.indeterminate = selected > 0 && selected < checkboxes.length;
+    }
+  }
+
+  async deleteSelected() {
+    const selected = this.rowCheckboxes()
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.closest('tr').dataset.series);
+    if (selected.length === 0) return;
+    if (!window.confirm(`Delete the settings for ${selected.length} series? This cannot be undone.`)) return;
+
+    try {
+      for (const series of selected) {
+        await this.settingsStore.removeSeries(series);
+        delete this.allSeries[series];
+      }
+      this.renderSeries();
+      this.showNotification(`Deleted ${selected.length} series`, 'success');
+    } catch (error) {
+      this.handleError('Failed to delete series settings', error);
+      await this.loadSeries();
+    }
+  }
+
+  showNotification(message, type = 'info', duration = 3000) {
+    const notification = this.getElement('notification');
+    if (!notification) return;
+
+    if (this.notificationTimeout) clearTimeout(this.notificationTimeout);
+    notification.textContent = message;
+    notification.className = `notification ${type}`;
+    notification.style.display = 'block';
+    this.notificationTimeout = setTimeout(() => {
+      notification.style.display = 'none';
+    }, duration);
+
+    const announcements = this.getElement('announcements');
+    if (announcements) announcements.textContent = message;
+  }
+
+  handleError(context, error) {
+    const errorMessage = error?.message || 'Unknown error occurred';
+    console.error(`${context}: ${errorMessage}`, error);
+    this.showNotification(errorMessage, 'error', 5000);
+
+    chrome.runtime.sendMessage({
+      action: 'reportError',
+      error: {
+        context,
+        message: errorMessage,
+        stack: error?.stack,
+        timestamp: new Date().toISOString()
+      }
+    }).catch(() => {});
+  }
+}
+
+try {
+  document.addEventListener('DOMContentLoaded', () => {
+    new SeriesManager();
+  });
+} catch (error) {
+  console.error('Series settings page initialization failed:', error);
+}
@@ -0,0 +1,209 @@
+/**
+ * AnimeXin Player Controller - Credits Detection
+ * Opt-in through the `outroDetection` global preference:
+ * - off:     nothing is sampled
+ * - suggest: credits found in the last minutes are offered as this series' outro
+ * - live:    as suggest, and while the series has no outro the detected start drives
+ *            the next episode countdown in this episode
+ *
+ * Loudness and luminance are sampled (credits.js) by the page for HTML5 players and by
+ * dm-bridge.js inside Dailymotion frames. A suggestion is stored as `-m:ss` before the
+ * end, so it fits episodes of other lengths, and kept in the series settings as
+ * `outroSuggestion` for the popup until it is used.
+ *
+ * Shared by the content script (detection) and the popup (preference, suggestion).
+ */
+
+const OUTRO_DETECTION_MODES = ['off', 'suggest', 'live'];
+const OUTRO_DETECTION_DEFAULT_MODE = 'off';
+// A saved outro this close to the detected credits needs no suggestion
+const OUTRO_MATCH_TOLERANCE_SECONDS = 5;
+
+class OutroDetector {
+  constructor(controller) {
+    this.controller = controller;
+    this.mode = OUTRO_DETECTION_DEFAULT_MODE;
+    this.samples = [];
+    this.detected = 0;
+    this.recorder = null;
+    this.generation = null;
+    this.prompt = null;
+    this.promptTimer = null;
+    this.promptTimeoutMs = 20000;
+  }
+
+  static normalizeMode(mode) {
+    return OUTRO_DETECTION_MODES.includes(mode) ? mode : OUTRO_DETECTION_DEFAULT_MODE;
+  }
+
+  /**
+   * Detected start -> stored spec counted from the end ('-105')
+   */
+  static toSpec(start, duration) {
+    return `-${Math.max(1, Math.round(duration - start))}`;
+  }
+
+  applyGlobalSettings(globals) {
+    this.mode = OutroDetector.normalizeMode(globals?.outroDetection);
+    if (this.mode === 'off') this.stop();
+  }
+
+  /**
+   * Sample this episode from its first play; a new mirror starts over
+   */
+  start() {
+    const controller = this.controller;
+    if (this.mode === 'off' || !controller.isTopFrame || controller.currentSeries === 'unknown') return;
+    const generation = controller.failover.generation;
+    if (this.generation === generation) return;
+
+    const adapter = controller.playerAdapter;
+    if (adapter?.kind === 'video' && controller.html5Video) {
+      this.reset(generation);
+      this.recorder = new CreditsRecorder(controller.html5Video, CREDITS_DEFAULTS);
+      this.recorder.start(samples => this.handleSamples({ samples }));
+    } else if (adapter?.id === 'dailymotion') {
+      this.reset(generation);
+      controller.sendPlayerCommand('credits_start', CREDITS_DEFAULTS);
+    }
+  }
+
+  reset(generation) {
+    if (this.recorder) this.recorder.stop();
+    this.recorder = null;
+    this.generation = generation;
+    this.samples = [];
+    this.detected = 0;
+  }
+
+  stop() {
+    if (this.generation === null) return;
+    if (this.recorder) this.recorder.stop();
+    else this.controller.sendPlayerCommand('credits_stop');
+    this.recorder = null;
+    this.generation = null;
+  }
+
+  /**
+   * Credits start in seconds for live use; 0 unless the live mode found them
+   */
+  liveStart() {
+    return this.mode === 'live' ? this.detected : 0;
+  }
+
+  handleSamples(data) {
+    const controller = this.controller;
+    try {
+      if (this.mode === 'off' || this.detected > 0) return;
+      this.samples.push(...CreditsAnalysis.normalizeSamples(data?.samples));
+      if (this.samples.length > MAX_CREDITS_SAMPLES) this.samples.splice(0, this.samples.length - MAX_CREDITS_SAMPLES);
+
+      const duration = controller.duration;
+      const found = CreditsAnalysis.find(this.samples, duration);
+      if (!found || !(duration > 0)) return;
+
+      this.detected = Math.floor(found.start);
+      console.log(`Credits detection: credits start at ${controller.formatTime(this.detected)}`);
+      // Picks the detected start up through getOutroStart while no outro is set
+      if (this.mode === 'live') controller.checkOutroSkip();
+      this.suggest(OutroDetector.toSpec(this.detected, duration), duration);
+    } catch (error) {
+      controller.errorReporter.reportError('Credits detection failed', error, {
+        series: controller.currentSeries
+      });
+    }
+  }
+
+  /**
+   * Keep the suggestion for the popup and offer it in the page, unless the
+   * series outro already lands there
+   */
+  async suggest(spec, duration) {
+    const controller = this.controller;
+    try {
+      const saved = SettingsLayers.read(controller.seriesSettings || {}, 'outroStart');
+      const savedStart = saved ? TimeSpec.resolve(saved, duration) : null;
+      if (savedStart && Math.abs(savedStart - this.detected) <= OUTRO_MATCH_TOLERANCE_SECONDS) return;
+
+      // Every stored write costs sync quota and re-applies settings in each open tab
+      const stored = TimeSpec.normalize(controller.seriesSettings?.outroSuggestion?.outroStart);
+      if (stored !== spec) {
+        await controller.settingsStore.updateSeries(controller.currentSeries, {
+          outroSuggestion: { outroStart: spec, episode: controller.currentEpisode, detectedAt: Date.now() }
+        });
+      }
+      if (!controller.nextCountdown.active) this.offer(spec);
+    } catch (error) {
+      controller.errorReporter.reportError('Credits suggestion saving failed', error, {
+        series: controller.currentSeries
+      });
+    }
+  }
+
+  async save(spec) {
+    const controller = this.controller;
+    try {
+      await controller.settingsStore.updateSeries(controller.currentSeries, {
+        outroStart: spec,
+        outroSuggestion: null,
+        timestamp: Date.now()
+      });
+      controller.showUserNotification(`Outro saved at ${TimeSpec.format(spec)} for this series`);
+    } catch (error) {
+      controller.errorReporter.reportError('Detected outro saving failed', error, {
+        series: controller.currentSeries
+      });
+    }
+  }
+
+  /**
+   * "Credits start at m:ss" prompt; dismisses itself after promptTimeoutMs
+   */
+  offer(spec) {
+    if (!document.body || this.prompt) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'animexin-outro-prompt';
+    prompt.setAttribute('role', 'alertdialog');
+    prompt.setAttribute('aria-label', 'Detected credits');
+
+    const text = document.createElement('span');
+    text.textContent = `Credits start at ${this.controller.formatTime(this.detected)} (${TimeSpec.format(spec)}). Use as this series' outro?`;
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'animexin-overlay-btn';
+    saveBtn.textContent = 'Save';
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.type = 'button';
+    dismissBtn.className = 'animexin-overlay-btn secondary';
+    dismissBtn.textContent = 'Not now';
+
+    saveBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.dismiss();
+      this.save(spec);
+    });
+    dismissBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.dismiss();
+    });
+
+    prompt.append(text, saveBtn, dismissBtn);
+    document.body.appendChild(prompt);
+    this.prompt = prompt;
+    this.promptTimer = setTimeout(() => this.dismiss(), this.promptTimeoutMs);
+  }
+
+  dismiss() {
+    if (this.promptTimer) {
+      clearTimeout(this.promptTimer);
+      this.promptTimer = null;
+    }
+    if (this.prompt) {
+      this.prompt.remove();
+      this.prompt = null;
+    }
+  }
+}
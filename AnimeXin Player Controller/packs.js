@@ -0,0 +1,167 @@
+/**
+ * AnimeXin Player Controller - Timing Packs
+ * A small, shareable subset of series settings that can be pasted into chat:
+ *
+ *   {
+ *     "format": "animexin-timing-pack", "version": 1,
+ *     "name": "Donghua timings", "author": "someone",
+ *     "series": {
+ *       "martial-master": {
+ *         "introSkipStart": 90, "outroStart": "-1:30",
+ *         "segments": [{ "name": "preview", "start": "-0:45", "end": null, "action": "skip" }],
+ *         "episodes": [{ "from": 400, "to": null, "outroStart": "17:20" }]
+ *       }
+ *     }
+ *   }
+ *
+ * `episodes` are episode overrides (see layers.js). Entries are validated with the
+ * same rules as a settings backup; merging replaces the fields a pack entry sets and
+ * adds or replaces its episode ranges, leaving everything else local. Used by the popup.
+ */
+
+const TIMING_PACK_FORMAT = 'animexin-timing-pack';
+const TIMING_PACK_VERSION = 1;
+
+class TimingPack {
+  /**
+   * Pack entry for one stored profile; null when it has no timings to share
+   */
+  static entryFromProfile(profile) {
+    const { profile: clean, errors } = SettingsBackup.validateProfile(profile);
+    if (errors.length > 0) return null;
+
+    const entry = {};
+    if (clean.introSkipStart > 0) entry.introSkipStart = clean.introSkipStart;
+    if (clean.outroStart) entry.outroStart = clean.outroStart;
+    if (clean.segments?.length) entry.segments = clean.segments;
+    if (clean.overrides?.length) entry.episodes = clean.overrides;
+    return Object.keys(entry).length > 0 ? entry : null;
+  }
+
+  /**
+   * { [series]: profile } -> pack document for those series
+   */
+  static build(profiles, { name, author } = {}) {
+    const series = {};
+    Object.keys(profiles).sort().forEach((slug) => {
+      const entry = TimingPack.entryFromProfile(profiles[slug]);
+      if (entry) series[slug] = entry;
+    });
+
+    return {
+      format: TIMING_PACK_FORMAT,
+      version: TIMING_PACK_VERSION,
+      name: SettingsBackup.cleanText(name) || 'Timing pack',
+      author: SettingsBackup.cleanText(author),
+      createdAt: new Date().toISOString(),
+      series
+    };
+  }
+
+  static fileName(pack) {
+    const slug = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'timing-pack';
+    return `${slug}.animexin-pack.json`;
+  }
+
+  /**
+   * Pasted or loaded text -> { meta, entries: [{ series, entry }], errors: [{ series, reason }] }.
+   * Throws when the text is not a timing pack at all.
+   */
+  static parse(text) {
+    if (typeof text !== 'string' || !text.trim() || text.length > BACKUP_MAX_BYTES) {
+      throw new Error('Paste a timing pack or choose a file first');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text.trim());
+    } catch (_) {
+      throw new Error('Timing pack is not valid JSON');
+    }
+    if (!data || data.format !== TIMING_PACK_FORMAT || !data.series || typeof data.series !== 'object') {
+      throw new Error('This is not an AnimeXin timing pack');
+    }
+    if (!(data.version <= TIMING_PACK_VERSION)) {
+      throw new Error(`Pack version ${data.version} is newer than this extension understands`);
+    }
+
+    const meta = {
+      name: SettingsBackup.cleanText(data.name) || 'Timing pack',
+      author: SettingsBackup.cleanText(data.author)
+    };
+    const entries = [];
+    const errors = [];
+    Object.keys(data.series).forEach((slug) => {
+      if (SettingsStore.validateSeriesName(slug) !== slug) {
+        errors.push({ series: slug, reason: 'invalid series name' });
+        return;
+      }
+      const raw = data.series[slug];
+      if (raw && typeof raw === 'object' && (raw.serverPriority !== undefined || raw.overrides !== undefined)) {
+        errors.push({ series: slug, reason: 'packs only carry timings, segments and episodes' });
+        return;
+      }
+
+      const { profile, errors: problems } = SettingsBackup.validateProfile(
+        raw && typeof raw === 'object' ? { ...raw, overrides: raw.episodes, episodes: undefined } : raw
+      );
+      const entry = problems.length === 0 ? TimingPack.entryFromProfile(profile) : null;
+      if (!entry) {
+        errors.push({ series: slug, reason: problems.join(', ') || 'no timings' });
+        return;
+      }
+      entries.push({ series: slug, entry });
+    });
+    return { meta, entries, errors };
+  }
+
+  /**
+   * Human-readable changes merging `entry` would make to `profile` (empty when none)
+   */
+  static diff(profile, entry) {
+    const current = profile || {};
+    const changes = [];
+    const show = value => (value ? TimeSpec.format(value) : 'not set');
+
+    const intro = SettingsLayers.read(current, 'introSkipStart') || 0;
+    if ('introSkipStart' in entry && entry.introSkipStart !== intro) {
+      changes.push(`Intro ${show(intro)} → ${show(entry.introSkipStart)}`);
+    }
+    const outro = SettingsLayers.read(current, 'outroStart') || 0;
+    if ('outroStart' in entry && entry.outroStart !== outro) {
+      changes.push(`Outro ${show(outro)} → ${show(entry.outroStart)}`);
+    }
+
+    const segments = SkipSegments.normalizeList(current.segments);
+    if ('segments' in entry && JSON.stringify(segments) !== JSON.stringify(entry.segments)) {
+      changes.push(`Segments: ${entry.segments.map(SkipSegments.describe).join('; ')} (replaces ${segments.length})`);
+    }
+
+    const overrides = SettingsLayers.normalizeList(current.overrides);
+    (entry.episodes || []).forEach((override) => {
+      const existing = overrides.find(o => SettingsLayers.sameScope(o, override));
+      if (!existing) changes.push(`Adds ${SettingsLayers.describe(override)}`);
+      else if (JSON.stringify(existing) !== JSON.stringify(override)) changes.push(`Replaces ${SettingsLayers.describe(override)}`);
+    });
+    return changes;
+  }
+
+  /**
+   * Profile after merging a pack entry; credits the pack it came from
+   */
+  static merge(profile, entry, meta) {
+    const merged = { ...(profile || {}) };
+    if ('introSkipStart' in entry) merged.introSkipStart = entry.introSkipStart;
+    if ('outroStart' in entry) merged.outroStart = entry.outroStart;
+    if ('segments' in entry) merged.segments = entry.segments;
+    if (entry.episodes) {
+      merged.overrides = entry.episodes.reduce(
+        (list, override) => SettingsLayers.upsert(list, override),
+        SettingsLayers.normalizeList(merged.overrides)
+      );
+    }
+    merged.pack = { name: meta.name, author: meta.author };
+    merged.timestamp = Date.now();
+    return merged;
+  }
+}
@@ -14,6 +14,24 @@ class PopupController {
     this.notificationTimeout = null;
     this.validationTimeout = null;
     this.isLoading = false;
+    this.settingsStore = new SettingsStore();
+    this.serverRules = [];
+    this.draggedRuleIndex = null;
+    this.watchHistory = [];
+    this.hotkeyBindings = HotkeyMap.defaults();
+    this.capturingHotkey = null;
+    this.skipSegments = [];
+    this.seriesSettings = null;
+    this.importText = null;
+    this.importPlan = [];
+    this.pendingPack = null;
+    this.pageSeries = null;
+    this.automationGlobals = null;
+    this.automationSeries = null;
+    this.globalDefaults = null;
+    this.currentEpisode = null;
+    this.playbackRate = 1;
+    this.sleepLimit = 0;
     
     // Cache DOM elements to avoid repeated queries
     this.domCache = new Map();
@@ -38,93 +56,1819 @@ class PopupController {
         } else {
           this.updateStatus('Connected to AnimeXin page', 'success');
         }
+        this.watchSettingsChanges();
       } else {
         this.updateStatus('Please navigate to an AnimeXin page', 'error');
         this.disableInputs();
       }
+
+      await this.loadServerPriority();
+      await this.loadOverrides();
+      await this.loadSegments();
+      await this.loadResumeSettings();
+      await this.loadSpeed();
+      await this.loadVolume();
+      await this.loadSleepTimer();
+      await this.loadIntroDetection();
+      await this.loadAutoNextSettings();
+      await this.loadAutomation();
+      await this.loadSeriesNames();
+      await this.loadHotkeys();
+      await this.loadWatchHistory();
+      await this.loadPackSeries();
+    } catch (error) {
+      this.handleError('Failed to initialize popup', error);
+    }
+  }
+
+  /**
+   * Get current active tab with validation
+   */
+  async getCurrentTab() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tabs || tabs.length === 0) {
+        throw new Error('No active tab found');
+      }
+      this.currentTab = tabs[0];
+    } catch (error) {
+      throw new Error(`Failed to get current tab: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if current tab is AnimeXin with validation
+   */
+  isAnimeXinTab() {
+    return this.currentTab && 
+           this.currentTab.url && 
+           typeof this.currentTab.url === 'string' &&
+           this.currentTab.url.includes('animexin.dev');
+  }
+
+  /**
+   * Setup event listeners with comprehensive validation
+   */
+  setupEventListeners() {
+    try {
+    const saveBtn = document.getElementById('save-settings');
+    const openPageBtn = document.getElementById('open-page');
+      const introInput = document.getElementById('intro-skip-start');
+      const outroInput = document.getElementById('outro-start');
+
+      // Enhanced save button with loading state
+      saveBtn?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await this.handleSave();
+      });
+
+      // Open page with validation
+      openPageBtn?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.openAnimeXinPage();
+      });
+
+      // Real-time input validation
+      [introInput, outroInput].forEach(input => {
+        if (!input) return;
+        
+        input.addEventListener('input', (e) => {
+          this.debounceValidation(() => this.validateTimeInput(e.target));
+        });
+        
+        input.addEventListener('blur', (e) => {
+          this.validateAndFormatInput(e.target);
+        });
+        
+        // Accessibility: announce validation errors
+        input.addEventListener('invalid', (e) => {
+          this.announceToScreenReader(`Invalid input: ${e.target.validationMessage}`);
+        });
+      });
+
+      // Keyboard shortcuts
+      document.addEventListener('keydown', (e) => {
+        this.handleKeyboardShortcuts(e);
+      });
+
+      this.setupServerPriorityListeners();
+      this.setupOverrideListeners();
+      this.setupSegmentListeners();
+      this.setupResumeListeners();
+      this.setupSpeedListeners();
+      this.setupVolumeListeners();
+      this.setupSleepTimerListeners();
+      this.setupIntroDetectionListeners();
+      this.setupAutoNextListeners();
+      this.setupSeriesNameListeners();
+      this.setupAutomationListeners();
+      this.setupHistoryListeners();
+      this.setupHotkeyListeners();
+      this.setupBackupListeners();
+      this.setupPackListeners();
+
+    } catch (error) {
+      this.handleError('Failed to setup event listeners', error);
+    }
+  }
+
+  /**
+   * Episode override list for the current series: remove only, new overrides
+   * come from saving with an episode scope
+   */
+  setupOverrideListeners() {
+    const list = document.getElementById('override-list');
+
+    list?.addEventListener('click', async (e) => {
+      const removeBtn = e.target.closest('.rule-remove');
+      if (!removeBtn) return;
+      e.preventDefault();
+      await this.removeOverride(Number(removeBtn.dataset.index));
+    });
+  }
+
+  async loadOverrides() {
+    try {
+      const series = this.currentSettings?.series;
+      const [settings, globals] = await Promise.all([
+        series ? this.settingsStore.getSeries(series) : null,
+        this.settingsStore.getGlobal()
+      ]);
+      this.seriesSettings = settings || {};
+      this.globalDefaults = globals.defaults || null;
+      this.renderOverrides();
+    } catch (error) {
+      this.handleError('Failed to load episode overrides', error);
+    }
+  }
+
+  renderOverrides() {
+    const list = this.getElement('override-list');
+    const empty = this.getElement('override-empty');
+    if (!list) return;
+
+    const overrides = SettingsLayers.normalizeList(this.seriesSettings?.overrides);
+    list.textContent = '';
+    overrides.forEach((override, index) => {
+      const description = SettingsLayers.describe(override);
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = description;
+      if (SettingsLayers.matches(override, this.currentEpisode)) {
+        label.textContent += ' (applies here)';
+      }
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'rule-remove';
+      removeBtn.dataset.index = String(index);
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove ${description}`);
+
+      item.append(label, removeBtn);
+      list.appendChild(item);
+    });
+    if (empty) empty.hidden = overrides.length > 0;
+  }
+
+  async removeOverride(index) {
+    try {
+      const series = this.currentSettings?.series;
+      if (!series) throw new Error('Open an AnimeXin episode to edit its overrides');
+
+      const overrides = SettingsLayers.normalizeList(this.seriesSettings?.overrides);
+      const [removed] = overrides.splice(index, 1);
+      if (!removed) return;
+
+      await this.settingsStore.updateSeries(series, { overrides, timestamp: Date.now() });
+      this.announceToScreenReader(`Removed ${SettingsLayers.describe(removed)}`);
+    } catch (error) {
+      this.handleError('Failed to remove episode override', error);
+    }
+  }
+
+  /**
+   * "Source: ..." under each timing field, from the layer that supplied it
+   */
+  renderTimingSources(sources) {
+    const labels = {
+      introSkipStart: 'intro-source',
+      outroStart: 'outro-source'
+    };
+    Object.keys(labels).forEach((field) => {
+      const element = this.getElement(labels[field]);
+      if (element) element.textContent = `Source: ${sources?.[field] || 'Not set'}`;
+    });
+  }
+
+  /**
+   * Episode scopes name the episode, and need one
+   */
+  updateSaveScopeOptions() {
+    const select = this.getElement('save-scope');
+    if (!select) return;
+
+    const episode = this.currentEpisode;
+    select.querySelectorAll('option[data-episode-scope]').forEach((option) => {
+      option.disabled = episode === null;
+      if (episode !== null) {
+        option.textContent = option.value === 'episode'
+          ? `Only episode ${episode}`
+          : `Episode ${episode} and later`;
+      }
+    });
+    if (select.selectedOptions[0]?.disabled) select.value = 'series';
+  }
+
+  /**
+   * Skip segment list for the current series: add, remove, save
+   */
+  setupSegmentListeners() {
+    const list = document.getElementById('segment-list');
+    const nameSelect = document.getElementById('segment-name');
+    const actionSelect = document.getElementById('segment-action');
+    const addBtn = document.getElementById('add-segment');
+    const saveBtn = document.getElementById('save-segments');
+
+    const fillOptions = (select, labels) => {
+      if (!select) return;
+      Object.keys(labels).forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = labels[value];
+        select.appendChild(option);
+      });
+    };
+    fillOptions(nameSelect, SEGMENT_NAMES);
+    fillOptions(actionSelect, SEGMENT_ACTIONS);
+
+    list?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.rule-remove');
+      if (!removeBtn) return;
+      e.preventDefault();
+      const [segment] = this.skipSegments.splice(Number(removeBtn.dataset.index), 1);
+      this.renderSegments();
+      if (segment) this.announceToScreenReader(`Removed ${SkipSegments.describe(segment)}`);
+    });
+
+    addBtn?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.addSegment();
+    });
+
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveSegments();
+    });
+  }
+
+  async loadSegments() {
+    try {
+      const series = this.currentSettings?.series;
+      const settings = series ? await this.settingsStore.getSeries(series) : null;
+      this.skipSegments = SkipSegments.normalizeList(settings?.segments);
+      this.renderSegments();
+    } catch (error) {
+      this.handleError('Failed to load skip segments', error);
+    }
+  }
+
+  renderSegments() {
+    const list = this.getElement('segment-list');
+    if (!list) return;
+
+    list.textContent = '';
+    this.skipSegments.forEach((segment, index) => {
+      const description = SkipSegments.describe(segment);
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = description;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'rule-remove';
+      removeBtn.dataset.index = String(index);
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove ${description}`);
+
+      item.append(label, removeBtn);
+      list.appendChild(item);
+    });
+  }
+
+  addSegment() {
+    try {
+      const startInput = this.getElement('segment-start');
+      const endInput = this.getElement('segment-end');
+      const start = this.parseAndValidateTimeSpec(startInput?.value || '0', 'Segment start');
+      const end = endInput?.value.trim() ? this.parseAndValidateTimeSpec(endInput.value, 'Segment end') : null;
+
+      const segment = SkipSegments.normalize({
+        name: this.getElement('segment-name')?.value,
+        action: this.getElement('segment-action')?.value,
+        start,
+        end
+      });
+      if (!segment) {
+        this.showNotification('Segment end must be after its start', 'error');
+        return;
+      }
+
+      this.skipSegments = SkipSegments.normalizeList([...this.skipSegments, segment]);
+      if (startInput) startInput.value = '';
+      if (endInput) endInput.value = '';
+      this.renderSegments();
+      this.announceToScreenReader(`Added ${SkipSegments.describe(segment)}`);
+    } catch (error) {
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  async saveSegments() {
+    try {
+      const series = this.currentSettings?.series;
+      if (!series) throw new Error('Open an AnimeXin episode to edit its segments');
+
+      await this.settingsStore.updateSeries(series, {
+        segments: SkipSegments.normalizeList(this.skipSegments),
+        timestamp: Date.now()
+      });
+      this.showNotification(`Skip segments saved for ${series}`, 'success');
+    } catch (error) {
+      this.handleError('Failed to save skip segments', error);
+    }
+  }
+
+  /**
+   * Server priority list: drag/keyboard reordering, add, remove, scope, save
+   */
+  setupServerPriorityListeners() {
+    const list = document.getElementById('server-priority-list');
+    const addBtn = document.getElementById('add-server-rule');
+    const resetBtn = document.getElementById('reset-server-priority');
+    const saveBtn = document.getElementById('save-server-priority');
+    const overrideToggle = document.getElementById('server-priority-series-override');
+
+    list?.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('li');
+      if (!item) return;
+      this.draggedRuleIndex = Number(item.dataset.index);
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', item.dataset.index);
+    });
+
+    list?.addEventListener('dragover', (e) => {
+      const item = e.target.closest('li');
+      if (!item || this.draggedRuleIndex === null) return;
+      e.preventDefault();
+      list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+      item.classList.add('drop-target');
+    });
+
+    list?.addEventListener('drop', (e) => {
+      const item = e.target.closest('li');
+      if (!item || this.draggedRuleIndex === null) return;
+      e.preventDefault();
+      this.moveServerRule(this.draggedRuleIndex, Number(item.dataset.index));
+    });
+
+    list?.addEventListener('dragend', () => {
+      this.draggedRuleIndex = null;
+      list.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+    });
+
+    list?.addEventListener('keydown', (e) => {
+      const item = e.target.closest('li');
+      if (!item || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+      e.preventDefault();
+      const from = Number(item.dataset.index);
+      this.moveServerRule(from, e.key === 'ArrowUp' ? from - 1 : from + 1);
+    });
+
+    list?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.rule-remove');
+      if (!removeBtn) return;
+      e.preventDefault();
+      this.removeServerRule(Number(removeBtn.closest('li').dataset.index));
+    });
+
+    addBtn?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.addServerRule();
+    });
+
+    resetBtn?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.serverRules = ServerPriority.defaults();
+      this.renderServerPriority();
+      this.announceToScreenReader('Server priority reset to defaults. Save to apply.');
+    });
+
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveServerPriority();
+    });
+
+    overrideToggle?.addEventListener('change', async () => {
+      // Switching back to the shared list shows what this series will now use
+      if (!overrideToggle.checked) {
+        const globals = await this.settingsStore.getGlobal();
+        this.serverRules = ServerPriority.normalizeList(globals.serverPriority);
+        this.renderServerPriority();
+      }
+    });
+  }
+
+  /**
+   * Load the effective server priority (series override or global list)
+   */
+  async loadServerPriority() {
+    try {
+      const series = this.currentSettings?.series;
+      const [globals, seriesSettings] = await Promise.all([
+        this.settingsStore.getGlobal(),
+        series ? this.settingsStore.getSeries(series) : Promise.resolve(null)
+      ]);
+      const hasOverride = Array.isArray(seriesSettings?.serverPriority);
+
+      this.serverRules = ServerPriority.normalizeList(hasOverride ? seriesSettings.serverPriority : globals.serverPriority);
+
+      const overrideToggle = this.getElement('server-priority-series-override');
+      if (overrideToggle) {
+        overrideToggle.checked = hasOverride;
+        overrideToggle.disabled = !series;
+      }
+      this.renderServerPriority();
+    } catch (error) {
+      this.handleError('Failed to load server priority', error);
+    }
+  }
+
+  renderServerPriority() {
+    const list = this.getElement('server-priority-list');
+    if (!list) return;
+
+    list.textContent = '';
+    this.serverRules.forEach((rule, index) => {
+      const description = ServerPriority.describe(rule);
+      const item = document.createElement('li');
+      item.draggable = true;
+      item.tabIndex = 0;
+      item.dataset.index = String(index);
+      item.setAttribute('aria-label', `Priority ${index + 1}: ${description}`);
+
+      const label = document.createElement('span');
+      label.textContent = `${index + 1}. ${description}`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'rule-remove';
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove rule ${description}`);
+
+      item.append(label, removeBtn);
+      list.appendChild(item);
+    });
+  }
+
+  moveServerRule(from, to) {
+    if (from === to || to < 0 || to >= this.serverRules.length) return;
+    const [rule] = this.serverRules.splice(from, 1);
+    this.serverRules.splice(to, 0, rule);
+    this.renderServerPriority();
+    this.getElement('server-priority-list')?.children[to]?.focus();
+    this.announceToScreenReader(`Moved ${ServerPriority.describe(rule)} to position ${to + 1}`);
+  }
+
+  removeServerRule(index) {
+    const [rule] = this.serverRules.splice(index, 1);
+    this.renderServerPriority();
+    if (rule) this.announceToScreenReader(`Removed ${ServerPriority.describe(rule)}`);
+  }
+
+  addServerRule() {
+    const keywordsInput = this.getElement('rule-keywords');
+    const languageInput = this.getElement('rule-language');
+    const hostInput = this.getElement('rule-host');
+
+    const rule = ServerPriority.normalizeRule({
+      keywords: keywordsInput?.value || '',
+      language: languageInput?.value || '',
+      host: hostInput?.value || ''
+    });
+
+    if (!rule) {
+      this.showNotification('Enter a keyword, language or host for the rule', 'error');
+      return;
+    }
+
+    this.serverRules.push(rule);
+    [keywordsInput, languageInput, hostInput].forEach(input => { if (input) input.value = ''; });
+    this.renderServerPriority();
+    this.announceToScreenReader(`Added ${ServerPriority.describe(rule)}`);
+  }
+
+  /**
+   * Save to the series override or to the global list (clearing any series override)
+   */
+  async saveServerPriority() {
+    try {
+      const rules = ServerPriority.normalizeList(this.serverRules);
+      const series = this.currentSettings?.series;
+      const seriesOnly = this.getElement('server-priority-series-override')?.checked && series;
+
+      if (seriesOnly) {
+        await this.settingsStore.updateSeries(series, { serverPriority: rules });
+      } else {
+        await this.settingsStore.updateGlobal({ serverPriority: rules });
+        const seriesSettings = series ? await this.settingsStore.getSeries(series) : null;
+        if (Array.isArray(seriesSettings?.serverPriority)) {
+          await this.settingsStore.updateSeries(series, { serverPriority: null });
+        }
+      }
+
+      this.serverRules = rules;
+      this.renderServerPriority();
+      this.showNotification(seriesOnly ? `Server priority saved for ${series}` : 'Server priority saved for all series', 'success');
+    } catch (error) {
+      this.handleError('Failed to save server priority', error);
+    }
+  }
+
+  setupResumeListeners() {
+    const saveBtn = document.getElementById('save-resume-settings');
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveResumeSettings();
+    });
+  }
+
+  async loadResumeSettings() {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const modeSelect = this.getElement('resume-mode');
+      const finishedInput = this.getElement('resume-finished-seconds');
+      if (modeSelect) modeSelect.value = PlaybackResume.normalizeMode(globals.resumeMode);
+      if (finishedInput) finishedInput.value = PlaybackResume.normalizeFinishedSeconds(globals.resumeFinishedSeconds);
+    } catch (error) {
+      this.handleError('Failed to load resume settings', error);
+    }
+  }
+
+  async saveResumeSettings() {
+    try {
+      const finishedInput = this.getElement('resume-finished-seconds');
+      const resumeFinishedSeconds = finishedInput?.value
+        ? this.parseAndValidateNumber(finishedInput.value, 'Finished threshold', 0, 3600)
+        : RESUME_DEFAULTS.resumeFinishedSeconds;
+      const resumeMode = PlaybackResume.normalizeMode(this.getElement('resume-mode')?.value);
+
+      await this.settingsStore.updateGlobal({ resumeMode, resumeFinishedSeconds });
+      this.showNotification('Resume settings saved for all series', 'success');
+    } catch (error) {
+      this.handleError('Failed to save resume settings', error);
+    }
+  }
+
+  setupSpeedListeners() {
+    const select = document.getElementById('speed-rate');
+    if (select) {
+      select.textContent = '';
+      PLAYBACK_RATES.forEach((rate) => {
+        const option = document.createElement('option');
+        option.value = String(rate);
+        option.textContent = PlaybackSpeed.format(rate);
+        select.appendChild(option);
+      });
+      select.addEventListener('change', async () => {
+        await this.applySpeed(select.value);
+      });
+    }
+
+    const saveBtn = document.getElementById('save-series-speed');
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveSeriesSpeed();
+    });
+  }
+
+  async loadSpeed() {
+    try {
+      const select = this.getElement('speed-rate');
+      if (select) {
+        // A rate set on the player itself may not be one of the presets
+        if (!PLAYBACK_RATES.includes(this.playbackRate)) {
+          const option = document.createElement('option');
+          option.value = String(this.playbackRate);
+          option.textContent = PlaybackSpeed.format(this.playbackRate);
+          select.appendChild(option);
+        }
+        select.value = String(this.playbackRate);
+      }
+
+      const series = this.currentSettings?.series;
+      const settings = series ? await this.settingsStore.getSeries(series) : null;
+      const saved = PlaybackSpeed.normalize(settings?.playbackRate);
+      const note = this.getElement('speed-default');
+      if (note) {
+        note.textContent = !series
+          ? 'Open an episode to set a series default'
+          : `${this.formatSeriesName(series)} starts at ${PlaybackSpeed.format(saved ?? 1)}`;
+      }
+    } catch (error) {
+      this.handleError('Failed to load playback speed', error);
+    }
+  }
+
+  /**
+   * Change the speed of the player in the current tab
+   */
+  async applySpeed(value) {
+    try {
+      const rate = PlaybackSpeed.normalize(value);
+      if (rate === null) return;
+      if (!this.isAnimeXinTab()) throw new Error('Open an AnimeXin episode first');
+      const response = await this.sendMessageWithTimeout({ action: 'setPlaybackRate', rate });
+      if (!response || !response.success) throw new Error(response?.error || 'Speed not changed');
+      this.playbackRate = rate;
+      this.announceToScreenReader(`Playback speed ${PlaybackSpeed.format(rate)}`);
+    } catch (error) {
+      this.handleError('Failed to change playback speed', error);
+    }
+  }
+
+  /**
+   * Store the selected speed as the series default; normal speed removes it
+   */
+  async saveSeriesSpeed() {
+    try {
+      const series = this.currentSettings?.series;
+      if (!series) throw new Error('Open an AnimeXin episode first');
+      const rate = PlaybackSpeed.normalize(this.getElement('speed-rate')?.value) ?? 1;
+      await this.settingsStore.updateSeries(series, {
+        playbackRate: rate === 1 ? null : rate,
+        timestamp: Date.now()
+      });
+      this.showNotification(`${this.formatSeriesName(series)} starts at ${PlaybackSpeed.format(rate)}`, 'success');
+      await this.loadSpeed();
+    } catch (error) {
+      this.handleError('Failed to save series speed', error);
+    }
+  }
+
+  setupVolumeListeners() {
+    const saveBtn = document.getElementById('save-volume-settings');
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveVolumeSettings();
+    });
+
+    const forgetBtn = document.getElementById('forget-volume');
+    forgetBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.forgetVolume();
+    });
+  }
+
+  async loadVolume() {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const scope = VolumeMemory.normalizeScope(globals.volumeScope);
+      const scopeSelect = this.getElement('volume-scope');
+      if (scopeSelect) scopeSelect.value = scope;
+      const unmuteSelect = this.getElement('volume-unmute');
+      if (unmuteSelect) unmuteSelect.value = AutomationToggles.globalLayer(globals).unmute === false ? 'never' : 'restore';
+
+      const series = this.currentSettings?.series;
+      const settings = series ? await this.settingsStore.getSeries(series) : null;
+      const globalState = VolumeMemory.normalizeState(globals.volume);
+      const seriesState = VolumeMemory.normalizeState(settings?.volume);
+      const info = this.getElement('volume-info');
+      if (info) {
+        const parts = [`All series: ${VolumeMemory.describe(globalState)}`];
+        if (series && (scope === 'series' || seriesState)) {
+          parts.push(`${this.formatSeriesName(series)}: ${seriesState ? VolumeMemory.describe(seriesState) : 'uses all series'}`);
+        }
+        info.textContent = parts.join(' · ');
+      }
+    } catch (error) {
+      this.handleError('Failed to load volume settings', error);
+    }
+  }
+
+  async saveVolumeSettings() {
+    try {
+      const volumeScope = VolumeMemory.normalizeScope(this.getElement('volume-scope')?.value);
+      const unmute = this.getElement('volume-unmute')?.value !== 'never';
+      const globals = await this.settingsStore.getGlobal();
+      const automation = AutomationToggles.normalize({ ...globals.automation, unmute });
+      await this.settingsStore.updateGlobal({ volumeScope, automation });
+      this.showNotification(unmute ? 'Volume settings saved for all series' : 'Episodes will never be unmuted automatically', 'success');
+      await this.loadVolume();
+      await this.loadAutomation();
+    } catch (error) {
+      this.handleError('Failed to save volume settings', error);
+    }
+  }
+
+  /**
+   * Drop the remembered global state and this series' one
+   */
+  async forgetVolume() {
+    try {
+      await this.settingsStore.updateGlobal({ volume: null });
+      const series = this.currentSettings?.series;
+      if (series && (await this.settingsStore.getSeries(series))?.volume) {
+        await this.settingsStore.updateSeries(series, { volume: null });
+      }
+      this.showNotification('Remembered volume forgotten', 'success');
+      await this.loadVolume();
+    } catch (error) {
+      this.handleError('Failed to forget the remembered volume', error);
+    }
+  }
+
+  setupSleepTimerListeners() {
+    const select = document.getElementById('sleep-timer');
+    if (select) {
+      select.textContent = '';
+      const options = [
+        ['', 'Keep as is'],
+        ['off', 'No timer'],
+        ...SLEEP_MINUTE_PRESETS.map(minutes => [String(minutes), `After ${minutes} minutes`]),
+        ['episode', 'At the end of this episode']
+      ];
+      options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    }
+
+    const applyBtn = document.getElementById('apply-sleep-timer');
+    applyBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.applySleepTimer();
+    });
+  }
+
+  /**
+   * The timer lives in the tab's session, so it is read from the page
+   */
+  async loadSleepTimer() {
+    const status = this.getElement('sleep-status');
+    try {
+      if (!this.isAnimeXinTab()) {
+        if (status) status.textContent = 'Open an AnimeXin episode to set a sleep timer';
+        return;
+      }
+      const response = await this.sendMessageWithTimeout({ action: 'getSleepTimer' });
+      if (!response || !response.success) throw new Error(response?.error || 'No sleep timer state');
+      this.renderSleepTimer(response.state);
+    } catch (error) {
+      // The page may still be loading; the section just stays empty
+      console.warn('Sleep timer unavailable:', error?.message || error);
+      if (status) status.textContent = 'Sleep timer unavailable until the page has loaded';
+    }
+  }
+
+  renderSleepTimer(state) {
+    const normalized = SleepTimer.normalizeState(state);
+    this.sleepLimit = normalized.limit;
+    const select = this.getElement('sleep-timer');
+    if (select) select.value = '';
+    const limit = this.getElement('binge-limit');
+    if (limit) limit.value = normalized.limit > 0 ? String(normalized.limit) : '';
+    const status = this.getElement('sleep-status');
+    if (status) status.textContent = SleepTimer.describe(normalized);
+  }
+
+  /**
+   * Send the chosen timer, and the episode limit only when it changed so the
+   * count is not restarted
+   */
+  async applySleepTimer() {
+    try {
+      if (!this.isAnimeXinTab()) throw new Error('Open an AnimeXin episode first');
+      const message = { action: 'setSleepTimer' };
+      const timer = this.getElement('sleep-timer')?.value;
+      if (timer) message.timer = timer;
+      const limit = SleepTimer.normalizeLimit(this.getElement('binge-limit')?.value);
+      if (limit !== this.sleepLimit) message.limit = limit;
+
+      const response = await this.sendMessageWithTimeout(message);
+      if (!response || !response.success) throw new Error(response?.error || 'Sleep timer not changed');
+      this.renderSleepTimer(response.state);
+      this.showNotification(SleepTimer.describe(SleepTimer.normalizeState(response.state)), 'success');
+    } catch (error) {
+      this.handleError('Failed to set the sleep timer', error);
+    }
+  }
+
+  setupIntroDetectionListeners() {
+    const saveBtn = document.getElementById('save-intro-detection');
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveIntroDetection();
+    });
+
+    const forgetBtn = document.getElementById('forget-fingerprints');
+    forgetBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.forgetFingerprints();
+    });
+
+    const useSuggestionBtn = document.getElementById('use-outro-suggestion');
+    useSuggestionBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.useOutroSuggestion();
+    });
+  }
+
+  async loadIntroDetection() {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const modeSelect = this.getElement('intro-detection-mode');
+      if (modeSelect) modeSelect.value = IntroDetector.normalizeMode(globals.introDetection);
+      const outroModeSelect = this.getElement('outro-detection-mode');
+      if (outroModeSelect) outroModeSelect.value = OutroDetector.normalizeMode(globals.outroDetection);
+
+      const series = this.currentSettings?.series;
+      const [prints, settings] = series
+        ? await Promise.all([this.settingsStore.getFingerprints(series), this.settingsStore.getSeries(series)])
+        : [[], null];
+      this.renderOutroSuggestion(settings);
+      const info = this.getElement('fingerprint-info');
+      if (info) {
+        info.textContent = series
+          ? `${prints.length} episode${prints.length === 1 ? '' : 's'} of ${this.formatSeriesName(series)} fingerprinted`
+          : 'Open an episode to see its fingerprints';
+      }
+      const forgetBtn = this.getElement('forget-fingerprints');
+      if (forgetBtn) forgetBtn.disabled = prints.length === 0;
+    } catch (error) {
+      this.handleError('Failed to load intro detection', error);
+    }
+  }
+
+  /**
+   * Credits detected in an episode and not used yet
+   */
+  renderOutroSuggestion(settings) {
+    const container = this.getElement('outro-suggestion');
+    const text = this.getElement('outro-suggestion-text');
+    if (!container || !text) return;
+
+    const suggestion = settings?.outroSuggestion;
+    const spec = TimeSpec.normalize(suggestion?.outroStart);
+    const current = SettingsLayers.read(settings || {}, 'outroStart');
+    container.hidden = !spec || spec === current;
+    if (container.hidden) return;
+
+    const episode = suggestion.episode !== null && suggestion.episode !== undefined ? ` in episode ${suggestion.episode}` : '';
+    text.textContent = `Credits detected${episode} at ${TimeSpec.format(spec)}`;
+    container.dataset.outroStart = spec;
+  }
+
+  /**
+   * Save the detected credits start as this series' outro
+   */
+  async useOutroSuggestion() {
+    try {
+      const series = this.currentSettings?.series;
+      const spec = TimeSpec.normalize(this.getElement('outro-suggestion')?.dataset.outroStart);
+      if (!series || !spec) return;
+      await this.settingsStore.updateSeries(series, {
+        outroStart: spec,
+        outroSuggestion: null,
+        timestamp: Date.now()
+      });
+      this.showNotification(`Outro set to ${TimeSpec.format(spec)} for ${this.formatSeriesName(series)}`, 'success');
+      await this.loadIntroDetection();
+    } catch (error) {
+      this.handleError('Failed to use the detected outro', error);
+    }
+  }
+
+  async saveIntroDetection() {
+    try {
+      const introDetection = IntroDetector.normalizeMode(this.getElement('intro-detection-mode')?.value);
+      const outroDetection = OutroDetector.normalizeMode(this.getElement('outro-detection-mode')?.value);
+      await this.settingsStore.updateGlobal({ introDetection, outroDetection });
+      this.showNotification(introDetection === 'off' && outroDetection === 'off'
+        ? 'Intro and credits detection turned off'
+        : 'Detection settings saved for all series', 'success');
+    } catch (error) {
+      this.handleError('Failed to save detection settings', error);
+    }
+  }
+
+  /**
+   * Drop this series' stored fingerprints, e.g. after the opening changed
+   */
+  async forgetFingerprints() {
+    try {
+      const series = this.currentSettings?.series;
+      if (!series) return;
+      await this.settingsStore.removeFingerprints(series);
+      this.showNotification(`Fingerprints forgotten for ${this.formatSeriesName(series)}`, 'success');
+      await this.loadIntroDetection();
+    } catch (error) {
+      this.handleError('Failed to forget fingerprints', error);
+    }
+  }
+
+  setupAutoNextListeners() {
+    const saveBtn = document.getElementById('save-auto-next');
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveAutoNextSettings();
+    });
+  }
+
+  async loadAutoNextSettings() {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const toggle = this.getElement('auto-navigate');
+      const secondsInput = this.getElement('next-countdown-seconds');
+      if (toggle) toggle.checked = globals.autoNavigate !== false;
+      if (secondsInput) secondsInput.value = NextEpisodeCountdown.normalizeSeconds(globals.nextCountdownSeconds);
+    } catch (error) {
+      this.handleError('Failed to load auto next settings', error);
+    }
+  }
+
+  async saveAutoNextSettings() {
+    try {
+      const secondsInput = this.getElement('next-countdown-seconds');
+      const nextCountdownSeconds = secondsInput?.value
+        ? this.parseAndValidateNumber(secondsInput.value, 'Countdown', 0, 60)
+        : COUNTDOWN_DEFAULT_SECONDS;
+      const autoNavigate = this.getElement('auto-navigate')?.checked !== false;
+
+      await this.settingsStore.updateGlobal({ autoNavigate, nextCountdownSeconds });
+      this.showNotification('Auto next settings saved for all series', 'success');
+    } catch (error) {
+      this.handleError('Failed to save auto next settings', error);
+    }
+  }
+
+  /**
+   * Master switch and per-feature switches for all series or this series (see automation.js)
+   */
+  setupAutomationListeners() {
+    document.getElementById('automation-enabled')?.addEventListener('change', async (e) => {
+      await this.saveAutomationMaster(e.target.checked);
+    });
+
+    document.getElementById('automation-scope')?.addEventListener('change', () => {
+      this.renderAutomation();
+    });
+
+    document.getElementById('save-automation')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveAutomation();
+    });
+
+    this.settingsStore.onGlobalChanged(() => this.loadAutomation());
+  }
+
+  async loadAutomation() {
+    try {
+      const series = this.currentSettings?.series;
+      const [globals, seriesSettings] = await Promise.all([
+        this.settingsStore.getGlobal(),
+        series ? this.settingsStore.getSeries(series) : Promise.resolve(null)
+      ]);
+      this.automationGlobals = globals;
+      this.automationSeries = seriesSettings || {};
+
+      const master = this.getElement('automation-enabled');
+      if (master) master.checked = AutomationToggles.globalLayer(globals).enabled !== false;
+
+      const scope = this.getElement('automation-scope');
+      const seriesOption = scope?.querySelector('option[value="series"]');
+      if (seriesOption) seriesOption.disabled = !series;
+      if (scope && !series) scope.value = 'global';
+      this.renderAutomation();
+    } catch (error) {
+      this.handleError('Failed to load automation settings', error);
+    }
+  }
+
+  renderAutomation() {
+    const list = this.getElement('automation-features');
+    if (!list || !this.automationGlobals) return;
+
+    const forSeries = this.getElement('automation-scope')?.value === 'series';
+    const globalLayer = AutomationToggles.globalLayer(this.automationGlobals);
+    const seriesLayer = AutomationToggles.normalize(this.automationSeries?.automation);
+    const rows = forSeries
+      ? { enabled: 'Automate this series', ...AUTOMATION_FEATURES }
+      : AUTOMATION_FEATURES;
+
+    list.textContent = '';
+    Object.keys(rows).forEach((key) => {
+      const label = document.createElement('label');
+      label.htmlFor = `automation-${key}`;
+      label.textContent = rows[key];
+
+      const select = document.createElement('select');
+      select.id = `automation-${key}`;
+      select.dataset.feature = key;
+      const options = [['on', 'On'], ['off', 'Off']];
+      if (forSeries) {
+        const inherited = key === 'enabled' || globalLayer[key] !== false ? 'on' : 'off';
+        options.unshift(['inherit', key === 'enabled' ? 'Default (on)' : `As all series (${inherited})`]);
+      }
+      options.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+
+      const layer = forSeries ? seriesLayer : globalLayer;
+      if (key in layer) select.value = layer[key] ? 'on' : 'off';
+      else select.value = forSeries ? 'inherit' : 'on';
+
+      list.append(label, select);
+    });
+  }
+
+  async saveAutomationMaster(enabled) {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const automation = AutomationToggles.normalize({ ...globals.automation, enabled });
+      await this.settingsStore.updateGlobal({ automation });
+      this.showNotification(enabled ? 'Automation on' : 'Automation off for all series', 'success');
+    } catch (error) {
+      this.handleError('Failed to save automation switch', error);
+    }
+  }
+
+  async saveAutomation() {
+    try {
+      const forSeries = this.getElement('automation-scope')?.value === 'series';
+      const switches = {};
+      document.querySelectorAll('#automation-features select').forEach((select) => {
+        switches[select.dataset.feature] = select.value === 'inherit' ? null : select.value === 'on';
+      });
+
+      if (forSeries) {
+        const series = this.currentSettings?.series;
+        if (!series) throw new Error('Open an AnimeXin episode to set switches for its series');
+        const stored = (await this.settingsStore.getSeries(series)) || {};
+        const automation = AutomationToggles.normalize({ ...stored.automation, ...switches });
+        await this.settingsStore.updateSeries(series, { automation, timestamp: Date.now() });
+        this.showNotification(`Automation saved for ${series}`, 'success');
+      } else {
+        const globals = await this.settingsStore.getGlobal();
+        const { outroNavigation, ...features } = switches;
+        const automation = AutomationToggles.normalize({ ...globals.automation, ...features });
+        // Outro navigation is the existing "Auto Next Episode" preference
+        await this.settingsStore.updateGlobal({ automation, autoNavigate: outroNavigation });
+        await this.loadAutoNextSettings();
+        await this.loadVolume();
+        this.showNotification('Automation saved for all series', 'success');
+      }
+      await this.loadAutomation();
+    } catch (error) {
+      this.handleError('Failed to save automation settings', error);
+    }
+  }
+
+  /**
+   * Slug normalisation rules and aliases (global; see series.js)
+   */
+  setupSeriesNameListeners() {
+    document.getElementById('save-series-rules')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveSeriesRules();
+    });
+
+    document.getElementById('add-alias')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.addSeriesAlias();
+    });
+
+    document.getElementById('alias-list')?.addEventListener('click', async (e) => {
+      const removeBtn = e.target.closest('.rule-remove');
+      if (!removeBtn) return;
+      e.preventDefault();
+      await this.removeSeriesAlias(removeBtn.dataset.alias);
+    });
+
+    // A new alias or rule can move this page to another profile
+    this.settingsStore.onGlobalChanged(async (globals) => {
+      const series = this.currentSettings?.series;
+      if (series && this.pageSeries) {
+        const resolved = SeriesKey.resolve(this.pageSeries, globals);
+        if (resolved !== series) await this.followSeries(resolved);
+      }
+      await this.loadSeriesNames();
+    });
+  }
+
+  async followSeries(series) {
+    try {
+      this.currentSettings.series = series;
+      const seriesInput = this.getElement('series');
+      if (seriesInput) seriesInput.value = this.sanitizeDisplayText(series) || 'Unknown';
+      await this.loadOverrides();
+      await this.loadSegments();
+      await this.loadServerPriority();
+      await this.loadAutomation();
+      await this.loadSpeed();
+      await this.loadVolume();
+      await this.loadIntroDetection();
+      this.refreshResolvedTimings();
+    } catch (error) {
+      this.handleError('Failed to load the new series settings', error);
+    }
+  }
+
+  async loadSeriesNames() {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const rules = SeriesKey.normalizeRules(globals.seriesRules);
+      const language = this.getElement('series-rule-language');
+      const season = this.getElement('series-rule-season');
+      const suffixes = this.getElement('series-suffixes');
+      if (language) language.checked = rules.language;
+      if (season) season.checked = rules.season;
+      if (suffixes && document.activeElement !== suffixes) suffixes.value = rules.suffixes.join(', ');
+
+      const info = this.getElement('series-key-info');
+      const series = this.currentSettings?.series;
+      if (info && series && this.pageSeries) {
+        info.textContent = this.pageSeries === series
+          ? `This page uses the settings of ${series}.`
+          : `This page (${this.pageSeries}) uses the settings of ${series}.`;
+      }
+      const aliasFrom = this.getElement('alias-from');
+      if (aliasFrom && !aliasFrom.value && this.pageSeries && this.pageSeries !== 'unknown') {
+        aliasFrom.value = this.pageSeries;
+      }
+
+      this.renderSeriesAliases(SeriesKey.normalizeAliases(globals.seriesAliases));
+    } catch (error) {
+      this.handleError('Failed to load series names', error);
+    }
+  }
+
+  renderSeriesAliases(aliases) {
+    const list = this.getElement('alias-list');
+    const empty = this.getElement('alias-empty');
+    if (!list) return;
+
+    const names = Object.keys(aliases).sort();
+    list.textContent = '';
+    names.forEach((alias) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${alias} → ${aliases[alias]}`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'rule-remove';
+      removeBtn.dataset.alias = alias;
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove alias ${alias}`);
+
+      item.append(label, removeBtn);
+      list.appendChild(item);
+    });
+    if (empty) empty.hidden = names.length > 0;
+  }
+
+  async saveSeriesRules() {
+    try {
+      const seriesRules = SeriesKey.normalizeRules({
+        language: this.getElement('series-rule-language')?.checked,
+        season: this.getElement('series-rule-season')?.checked,
+        suffixes: (this.getElement('series-suffixes')?.value || '').split(',')
+      });
+      await this.settingsStore.updateGlobal({ seriesRules });
+      this.showNotification('Series name rules saved', 'success');
+    } catch (error) {
+      this.handleError('Failed to save series name rules', error);
+    }
+  }
+
+  async addSeriesAlias() {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const seriesAliases = SeriesKey.addAlias(
+        globals.seriesAliases,
+        this.getElement('alias-from')?.value,
+        this.getElement('alias-to')?.value
+      );
+      await this.settingsStore.updateGlobal({ seriesAliases });
+
+      const aliasTo = this.getElement('alias-to');
+      if (aliasTo) aliasTo.value = '';
+      this.showNotification('Alias added', 'success');
+    } catch (error) {
+      this.handleError('Failed to add alias', error);
+    }
+  }
+
+  async removeSeriesAlias(alias) {
+    try {
+      const globals = await this.settingsStore.getGlobal();
+      const seriesAliases = SeriesKey.normalizeAliases(globals.seriesAliases);
+      delete seriesAliases[alias];
+      await this.settingsStore.updateGlobal({ seriesAliases });
+      this.showNotification(`Alias ${alias} removed`, 'success');
     } catch (error) {
-      this.handleError('Failed to initialize popup', error);
+      this.handleError('Failed to remove alias', error);
     }
   }
 
   /**
-   * Get current active tab with validation
+   * Shortcut remapping: click a binding, then press the new combination
    */
-  async getCurrentTab() {
+  setupHotkeyListeners() {
+    const list = document.getElementById('hotkey-list');
+    const resetBtn = document.getElementById('reset-hotkeys');
+    const saveBtn = document.getElementById('save-hotkeys');
+    const browserBtn = document.getElementById('open-browser-shortcuts');
+
+    list?.addEventListener('click', (e) => {
+      const keyBtn = e.target.closest('.hotkey-key');
+      if (!keyBtn) return;
+      e.preventDefault();
+      this.capturingHotkey = keyBtn.dataset.action;
+      this.renderHotkeys();
+      this.announceToScreenReader('Press the new shortcut');
+    });
+
+    list?.addEventListener('keydown', (e) => {
+      if (!this.capturingHotkey) return;
+      // Keep the popup's own shortcuts (Esc closes) out of the capture
+      e.preventDefault();
+      e.stopPropagation();
+
+      const noModifier = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+      if (e.key === 'Escape') {
+        this.finishHotkeyCapture(null);
+      } else if (noModifier && (e.key === 'Backspace' || e.key === 'Delete')) {
+        this.finishHotkeyCapture('');
+      } else {
+        const key = HotkeyMap.fromEvent(e);
+        if (key) this.finishHotkeyCapture(key);
+      }
+    });
+
+    resetBtn?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.hotkeyBindings = HotkeyMap.defaults();
+      this.capturingHotkey = null;
+      this.renderHotkeys();
+      this.announceToScreenReader('Shortcuts reset to defaults. Save to apply.');
+    });
+
+    saveBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.saveHotkeys();
+    });
+
+    browserBtn?.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts', active: true });
+    });
+  }
+
+  async loadHotkeys() {
     try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (!tabs || tabs.length === 0) {
-        throw new Error('No active tab found');
+      const globals = await this.settingsStore.getGlobal();
+      this.hotkeyBindings = HotkeyMap.normalize(globals.hotkeys);
+      this.renderHotkeys();
+    } catch (error) {
+      this.handleError('Failed to load keyboard shortcuts', error);
+    }
+  }
+
+  /**
+   * Apply a captured key (null cancels, '' unbinds); a key moves away from any other action
+   */
+  finishHotkeyCapture(key) {
+    const action = this.capturingHotkey;
+    this.capturingHotkey = null;
+
+    if (action && key !== null) {
+      Object.keys(this.hotkeyBindings).forEach((id) => {
+        if (key && this.hotkeyBindings[id] === key) this.hotkeyBindings[id] = '';
+      });
+      this.hotkeyBindings[action] = key;
+    }
+
+    this.renderHotkeys();
+    this.getElement('hotkey-list')?.querySelector(`[data-action="${action}"]`)?.focus();
+  }
+
+  renderHotkeys() {
+    const list = this.getElement('hotkey-list');
+    if (!list) return;
+
+    list.textContent = '';
+    HOTKEY_ACTIONS.forEach((action) => {
+      const capturing = this.capturingHotkey === action.id;
+      const key = this.hotkeyBindings[action.id];
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = action.label;
+
+      const keyBtn = document.createElement('button');
+      keyBtn.type = 'button';
+      keyBtn.className = capturing ? 'hotkey-key capturing' : 'hotkey-key';
+      keyBtn.dataset.action = action.id;
+      keyBtn.textContent = capturing ? 'Press keys…' : (key || 'Not set');
+      keyBtn.setAttribute('aria-label', `${action.label}: ${key || 'not set'}. Activate to change`);
+
+      item.append(label, keyBtn);
+      list.appendChild(item);
+      if (capturing) keyBtn.focus();
+    });
+  }
+
+  async saveHotkeys() {
+    try {
+      await this.settingsStore.updateGlobal({ hotkeys: HotkeyMap.normalize(this.hotkeyBindings) });
+      this.showNotification('Keyboard shortcuts saved', 'success');
+    } catch (error) {
+      this.handleError('Failed to save keyboard shortcuts', error);
+    }
+  }
+
+  setupHistoryListeners() {
+    const list = document.getElementById('history-list');
+    const clearBtn = document.getElementById('clear-history');
+
+    list?.addEventListener('click', (e) => {
+      const continueBtn = e.target.closest('.history-continue');
+      if (!continueBtn) return;
+      e.preventDefault();
+      const entry = this.watchHistory[Number(continueBtn.dataset.index)];
+      if (entry) this.openHistoryLink(entry.continueUrl);
+    });
+
+    clearBtn?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      if (!window.confirm('Clear the watch history for every series?')) return;
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'clearWatchHistory' });
+        if (!response?.success) throw new Error(response?.error || 'Background service unavailable');
+        this.renderWatchHistory([]);
+        this.showNotification('Watch history cleared', 'success');
+      } catch (error) {
+        this.handleError('Failed to clear watch history', error);
       }
-      this.currentTab = tabs[0];
+    });
+
+    document.getElementById('open-manager')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openSeriesManager();
+    });
+  }
+
+  /**
+   * Options page listing every configured series
+   */
+  openSeriesManager() {
+    chrome.runtime.openOptionsPage()
+      .then(() => window.close())
+      .catch(error => this.handleError('Failed to open series settings', error));
+  }
+
+  /**
+   * Watch history is owned by the background worker
+   */
+  async loadWatchHistory() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getWatchHistory' });
+      if (!response?.success) throw new Error(response?.error || 'Background service unavailable');
+      this.renderWatchHistory(response.history);
     } catch (error) {
-      throw new Error(`Failed to get current tab: ${error.message}`);
+      this.handleError('Failed to load watch history', error);
     }
   }
 
+  renderWatchHistory(history) {
+    const list = this.getElement('history-list');
+    const empty = this.getElement('history-empty');
+    if (!list) return;
+
+    this.watchHistory = Array.isArray(history) ? history : [];
+    list.textContent = '';
+    if (empty) empty.style.display = this.watchHistory.length > 0 ? 'none' : 'block';
+
+    this.watchHistory.forEach((entry, index) => {
+      const title = this.formatSeriesName(entry.series);
+      const episode = entry.lastEpisode ? `Episode ${entry.lastEpisode}` : 'Last episode';
+      const item = document.createElement('li');
+
+      const info = document.createElement('div');
+      const name = document.createElement('span');
+      name.className = 'history-title';
+      name.textContent = title;
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      meta.textContent = `${episode} · ${entry.completed ? 'finished' : `${entry.progress}%`} · ${entry.episodesCompleted} finished`;
+      const progress = document.createElement('div');
+      progress.className = 'history-progress';
+      const bar = document.createElement('span');
+      bar.style.width = `${entry.progress}%`;
+      progress.appendChild(bar);
+      info.append(name, meta, progress);
+
+      const continueBtn = document.createElement('button');
+      continueBtn.type = 'button';
+      continueBtn.className = 'history-continue';
+      continueBtn.dataset.index = String(index);
+      continueBtn.textContent = entry.continuesNext ? 'Next ▶' : 'Continue ▶';
+      continueBtn.setAttribute('aria-label', entry.continuesNext
+        ? `Watch the episode after ${episode} of ${title}`
+        : `Continue ${episode} of ${title}`);
+
+      item.append(info, continueBtn);
+      list.appendChild(item);
+    });
+  }
+
+  formatSeriesName(slug) {
+    return this.sanitizeDisplayText(String(slug || ''))
+      .split('-')
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
   /**
-   * Check if current tab is AnimeXin with validation
+   * Continue in the current AnimeXin tab, or open a new one
    */
-  isAnimeXinTab() {
-    return this.currentTab && 
-           this.currentTab.url && 
-           typeof this.currentTab.url === 'string' &&
-           this.currentTab.url.includes('animexin.dev');
+  openHistoryLink(url) {
+    try {
+      const target = new URL(url);
+      if (target.protocol !== 'https:' || !/(^|\.)animexin\.dev$/i.test(target.hostname)) {
+        throw new Error('Invalid episode link');
+      }
+      if (this.isAnimeXinTab()) {
+        chrome.tabs.update(this.currentTab.id, { url: target.toString() });
+      } else {
+        chrome.tabs.create({ url: target.toString(), active: true });
+      }
+      window.close();
+    } catch (error) {
+      this.handleError('Failed to open episode', error);
+    }
   }
 
   /**
-   * Setup event listeners with comprehensive validation
+   * Export every series profile, or check and apply an export file
    */
-  setupEventListeners() {
+  setupBackupListeners() {
+    const fileInput = document.getElementById('import-file');
+
+    document.getElementById('export-settings')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.exportSettings();
+    });
+
+    document.getElementById('choose-import')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      fileInput?.click();
+    });
+
+    fileInput?.addEventListener('change', async () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        this.importText = await file.text();
+        await this.planImport();
+      } catch (error) {
+        this.handleError('Failed to read import file', error);
+      }
+    });
+
+    // A different conflict mode changes the dry run, not the file
+    document.getElementById('import-mode')?.addEventListener('change', async () => {
+      if (this.importText) await this.planImport();
+    });
+
+    document.getElementById('apply-import')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.applyImport();
+    });
+  }
+
+  async exportSettings() {
     try {
-    const saveBtn = document.getElementById('save-settings');
-    const openPageBtn = document.getElementById('open-page');
-      const introInput = document.getElementById('intro-skip-start');
-      const outroInput = document.getElementById('outro-start');
-      const durationInput = document.getElementById('outro-skip-duration');
+      const { backup, skipped } = SettingsBackup.build(await this.settingsStore.getAllSeries());
+      const count = Object.keys(backup.series).length;
+      const details = skipped.map(({ series, reason }) => `${series} (${reason})`).join('; ');
+      if (count === 0 && skipped.length === 0) throw new Error('No series settings saved yet');
+      if (count === 0) throw new Error(`Every series has invalid settings: ${details}`);
 
-      // Enhanced save button with loading state
-      saveBtn?.addEventListener('click', async (e) => {
-        e.preventDefault();
-        await this.handleSave();
-      });
+      this.downloadJson(backup, SettingsBackup.fileName());
+      if (skipped.length > 0) {
+        this.showNotification(`Exported ${count} series; left out ${skipped.length} with invalid settings: ${details}`, 'error', 10000);
+      } else {
+        this.showNotification(`Exported ${count} series`, 'success');
+      }
+    } catch (error) {
+      this.handleError('Failed to export settings', error);
+    }
+  }
 
-      // Open page with validation
-      openPageBtn?.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.openAnimeXinPage();
-      });
+  downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-      // Real-time input validation
-      [introInput, outroInput].forEach(input => {
-        if (!input) return;
-        
-        input.addEventListener('input', (e) => {
-          this.debounceValidation(() => this.validateTimeInput(e.target));
-        });
-        
-        input.addEventListener('blur', (e) => {
-          this.validateAndFormatInput(e.target);
+  /**
+   * Dry run: validate the file and show what applying it would do
+   */
+  async planImport() {
+    const applyBtn = this.getElement('apply-import');
+    this.importPlan = [];
+    if (applyBtn) applyBtn.disabled = true;
+
+    try {
+      const { entries, errors } = SettingsBackup.parse(this.importText);
+      const mode = this.getElement('import-mode')?.value;
+      this.importPlan = SettingsBackup.plan(entries, await this.settingsStore.getAllSeries(), mode);
+
+      const lines = [
+        `${SettingsBackup.count(this.importPlan, 'add')} new`,
+        `${SettingsBackup.count(this.importPlan, 'overwrite')} overwritten`,
+        `${SettingsBackup.count(this.importPlan, 'keep')} kept as they are`,
+        `${SettingsBackup.count(this.importPlan, 'unchanged')} already identical`
+      ].map(text => ({ text }));
+      errors.forEach(({ series, reason }) => lines.push({ text: `Skipped ${series}: ${reason}`, error: true }));
+      this.renderImportSummary(lines);
+
+      const changes = this.importPlan.filter(item => item.action === 'add' || item.action === 'overwrite');
+      if (applyBtn) applyBtn.disabled = changes.length === 0;
+      this.announceToScreenReader(`Import check: ${lines.map(line => line.text).join(', ')}`);
+    } catch (error) {
+      this.renderImportSummary([{ text: error.message, error: true }]);
+    }
+  }
+
+  renderImportSummary(lines) {
+    const list = this.getElement('import-summary');
+    if (!list) return;
+
+    list.textContent = '';
+    lines.forEach(({ text, error }) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      if (error) item.className = 'error';
+      list.appendChild(item);
+    });
+  }
+
+  async applyImport() {
+    try {
+      const changes = this.importPlan.filter(item => item.action === 'add' || item.action === 'overwrite');
+      if (changes.length === 0) return;
+
+      for (const { series, profile } of changes) {
+        await this.settingsStore.setSeries(series, profile);
+      }
+
+      this.importText = null;
+      this.importPlan = [];
+      const applyBtn = this.getElement('apply-import');
+      if (applyBtn) applyBtn.disabled = true;
+      this.renderImportSummary([{ text: `Imported ${changes.length} series` }]);
+      this.showNotification(`Imported ${changes.length} series`, 'success');
+      await this.loadPackSeries();
+    } catch (error) {
+      this.handleError('Failed to import settings', error);
+    }
+  }
+
+  /**
+   * Timing packs: paste or load, preview the diff, merge the selected series;
+   * export a pack for the series ticked in the export list
+   */
+  setupPackListeners() {
+    const fileInput = document.getElementById('pack-file');
+    const packInput = document.getElementById('pack-input');
+
+    document.getElementById('load-pack-file')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      fileInput?.click();
+    });
+
+    fileInput?.addEventListener('change', async () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = '';
+      if (!file || !packInput) return;
+      try {
+        packInput.value = await file.text();
+        await this.previewPack();
+      } catch (error) {
+        this.handleError('Failed to read timing pack', error);
+      }
+    });
+
+    document.getElementById('preview-pack')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.previewPack();
+    });
+
+    // An edited pack has to be previewed again before it can be merged
+    packInput?.addEventListener('input', () => {
+      this.pendingPack = null;
+      const mergeBtn = this.getElement('merge-pack');
+      if (mergeBtn) mergeBtn.disabled = true;
+    });
+
+    document.getElementById('merge-pack')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.mergePack();
+    });
+
+    document.getElementById('copy-pack')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.exportPack('copy');
+    });
+
+    document.getElementById('download-pack')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.exportPack('download');
+    });
+  }
+
+  async previewPack() {
+    const mergeBtn = this.getElement('merge-pack');
+    const meta = this.getElement('pack-meta');
+    const list = this.getElement('pack-diff');
+    this.pendingPack = null;
+    if (mergeBtn) mergeBtn.disabled = true;
+    if (list) list.textContent = '';
+
+    try {
+      const pack = TimingPack.parse(this.getElement('pack-input')?.value);
+      const local = await this.settingsStore.getAllSeries();
+      const changes = pack.entries.map(({ series, entry }) => ({
+        series,
+        entry,
+        isNew: !local[series],
+        lines: TimingPack.diff(local[series], entry)
+      }));
+
+      if (meta) {
+        const author = pack.meta.author ? ` by ${pack.meta.author}` : '';
+        meta.textContent = `${pack.meta.name}${author} · ${pack.entries.length} series`;
+      }
+      this.renderPackDiff(changes, pack.errors);
+
+      this.pendingPack = { meta: pack.meta, changes };
+      if (mergeBtn) mergeBtn.disabled = !changes.some(item => item.lines.length > 0);
+    } catch (error) {
+      if (meta) meta.textContent = error.message;
+    }
+  }
+
+  renderPackDiff(changes, errors) {
+    const list = this.getElement('pack-diff');
+    if (!list) return;
+
+    changes.forEach(({ series, isNew, lines }, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.index = String(index);
+      checkbox.dataset.scope = 'global';
+      checkbox.checked = lines.length > 0;
+      checkbox.disabled = lines.length === 0;
+
+      const name = document.createElement('span');
+      let status = isNew ? ' (new)' : '';
+      if (lines.length === 0) status = ' · already up to date';
+      name.textContent = `${this.formatSeriesName(series)}${status}`;
+      label.append(checkbox, name);
+      item.appendChild(label);
+
+      if (lines.length > 0) {
+        const details = document.createElement('ul');
+        details.className = 'pack-changes';
+        lines.forEach((line) => {
+          const change = document.createElement('li');
+          change.textContent = line;
+          details.appendChild(change);
         });
-        
-        // Accessibility: announce validation errors
-        input.addEventListener('invalid', (e) => {
-          this.announceToScreenReader(`Invalid input: ${e.target.validationMessage}`);
+        item.appendChild(details);
+      }
+      list.appendChild(item);
+    });
+
+    errors.forEach(({ series, reason }) => {
+      const item = document.createElement('li');
+      item.className = 'error';
+      item.textContent = `Skipped ${series}: ${reason}`;
+      list.appendChild(item);
+    });
+  }
+
+  async mergePack() {
+    try {
+      if (!this.pendingPack) return;
+      const { meta, changes } = this.pendingPack;
+      const selected = Array.from(document.querySelectorAll('#pack-diff input[type="checkbox"]:checked'))
+        .map(checkbox => changes[Number(checkbox.dataset.index)])
+        .filter(item => item && item.lines.length > 0);
+      if (selected.length === 0) throw new Error('Select at least one series to merge');
+
+      for (const { series, entry } of selected) {
+        const profile = await this.settingsStore.getSeries(series);
+        await this.settingsStore.setSeries(series, TimingPack.merge(profile, entry, meta));
+      }
+
+      this.showNotification(`Merged ${selected.length} series from ${meta.name}`, 'success');
+      this.announceToScreenReader(`Merged ${selected.length} series from the timing pack`);
+      await this.previewPack();
+      await this.loadPackSeries();
+    } catch (error) {
+      this.handleError('Failed to merge timing pack', error);
+    }
+  }
+
+  /**
+   * Local series with timings worth sharing, for the export list
+   */
+  async loadPackSeries() {
+    try {
+      const list = this.getElement('pack-export-list');
+      if (!list) return;
+
+      const all = await this.settingsStore.getAllSeries();
+      const current = this.currentSettings?.series;
+      list.textContent = '';
+      Object.keys(all).sort()
+        .filter(series => TimingPack.entryFromProfile(all[series]))
+        .forEach((series) => {
+          const item = document.createElement('li');
+          const label = document.createElement('label');
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.value = series;
+          checkbox.dataset.scope = 'global';
+          checkbox.checked = series === current;
+
+          const name = document.createElement('span');
+          name.textContent = this.formatSeriesName(series);
+          label.append(checkbox, name);
+          item.appendChild(label);
+          list.appendChild(item);
         });
-      });
+    } catch (error) {
+      this.handleError('Failed to list series for timing packs', error);
+    }
+  }
 
-      // Duration input validation
-      durationInput?.addEventListener('input', (e) => {
-        this.validateNumberInput(e.target);
-      });
+  async exportPack(target) {
+    try {
+      const selected = Array.from(document.querySelectorAll('#pack-export-list input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.value);
+      if (selected.length === 0) throw new Error('Tick the series to put in the pack');
 
-      // Keyboard shortcuts
-      document.addEventListener('keydown', (e) => {
-        this.handleKeyboardShortcuts(e);
+      const all = await this.settingsStore.getAllSeries();
+      const profiles = {};
+      selected.forEach((series) => {
+        if (all[series]) profiles[series] = all[series];
+      });
+      const pack = TimingPack.build(profiles, {
+        name: this.getElement('pack-name')?.value,
+        author: this.getElement('pack-author')?.value
       });
 
+      if (target === 'copy') {
+        await navigator.clipboard.writeText(JSON.stringify(pack, null, 2));
+        this.showNotification(`Copied a pack with ${selected.length} series`, 'success');
+      } else {
+        this.downloadJson(pack, TimingPack.fileName(pack));
+        this.showNotification(`Saved a pack with ${selected.length} series`, 'success');
+      }
     } catch (error) {
-      this.handleError('Failed to setup event listeners', error);
+      this.handleError('Failed to export timing pack', error);
     }
   }
 
@@ -147,12 +1891,14 @@ class PopupController {
         throw new Error(validation.error);
       }
 
-      const { introSkipStart, outroStartSeconds, outroSkipDuration } = validation.data;
+      const { introSkipStart, outroStart } = validation.data;
 
       // Send message to content script with timeout
+      const scope = this.getElement('save-scope')?.value || 'series';
+
       const response = await this.sendMessageWithTimeout({
         action: 'saveSettings',
-        data: { introSkipStart, outroStartSeconds, outroSkipDuration }
+        data: { introSkipStart, outroStart, scope }
       }, 5000);
 
       if (!response || !response.success) {
@@ -177,24 +1923,19 @@ class PopupController {
     try {
       const introInput = document.getElementById('intro-skip-start');
       const outroInput = document.getElementById('outro-start');
-      const durationInput = document.getElementById('outro-skip-duration');
 
       const introValue = introInput?.value?.trim() || '';
       const outroValue = outroInput?.value?.trim() || '';
-      const durationValue = durationInput?.value?.trim() || '0';
 
       // Validate and parse intro time
       const introSkipStart = this.parseAndValidateTime(introValue, 'Intro start time');
       
-      // Validate and parse outro time
-      const outroStartSeconds = this.parseAndValidateTime(outroValue, 'Outro start time');
-      
-      // Validate duration
-      const outroSkipDuration = this.parseAndValidateNumber(durationValue, 'Outro duration', 0, 3600);
+      // Validate and parse outro time (absolute, before the end, or a percentage)
+      const outroStart = this.parseAndValidateTimeSpec(outroValue, 'Outro start time');
 
       return {
         isValid: true,
-        data: { introSkipStart, outroStartSeconds, outroSkipDuration }
+        data: { introSkipStart, outroStart }
       };
 
     } catch (error) {
@@ -205,6 +1946,19 @@ class PopupController {
     }
   }
 
+  /**
+   * Parse a time that may be relative to the end ("-1:30") or the duration ("92%")
+   */
+  parseAndValidateTimeSpec(value, fieldName) {
+    if (!value || !value.trim()) return 0;
+
+    const spec = TimeSpec.parse(value);
+    if (spec === null) {
+      throw new Error(`${fieldName} must be mm:ss, -mm:ss (before the end) or a percentage`);
+    }
+    return spec;
+  }
+
   /**
    * Parse and validate time input with comprehensive checks
    */
@@ -288,7 +2042,12 @@ class PopupController {
         return;
       }
       
-      this.parseAndValidateTime(input.value, input.labels?.[0]?.textContent || 'Time');
+      const fieldName = input.labels?.[0]?.textContent || 'Time';
+      if (input.hasAttribute('data-relative')) {
+        this.parseAndValidateTimeSpec(input.value, fieldName);
+      } else {
+        this.parseAndValidateTime(input.value, fieldName);
+      }
       this.setInputValidation(input, true);
       
     } catch (error) {
@@ -358,8 +2117,9 @@ class PopupController {
       if (!input || !input.value) return;
       
       // Parse and reformat the time
-      const seconds = this.parseAndValidateTime(input.value, 'Time');
-      const formatted = this.formatTime(seconds);
+      const formatted = input.hasAttribute('data-relative')
+        ? TimeSpec.format(this.parseAndValidateTimeSpec(input.value, 'Time'))
+        : this.formatTime(this.parseAndValidateTime(input.value, 'Time'));
       
       if (input.value !== formatted) {
         input.value = formatted;
@@ -442,14 +2202,17 @@ class PopupController {
         throw new Error(response?.error || 'Failed to load settings');
       }
 
-        const { series, introSkipStart, outroSkipDuration, outroStartSeconds } = response.data;
+        const { series, pageSeries, episode, introSkipStart, outroStart, sources, playbackRate } = response.data;
+      
+      this.currentEpisode = Number.isInteger(episode) ? episode : null;
+      this.playbackRate = PlaybackSpeed.normalize(playbackRate) ?? 1;
+      this.pageSeries = pageSeries || series;
       
       // Store settings for checking if they exist
       this.currentSettings = {
         series,
         introSkipStart: introSkipStart || 0,
-        outroSkipDuration: outroSkipDuration || 0,
-        outroStartSeconds: outroStartSeconds || 0
+        outroStart: TimeSpec.normalize(outroStart) ?? 0
       };
       
       // Validate and display series using cached elements
@@ -461,17 +2224,15 @@ class PopupController {
       // Validate and display settings using cached elements
       const introInput = this.getElement('intro-skip-start');
       const outroInput = this.getElement('outro-start');
-      const durationInput = this.getElement('outro-skip-duration');
       
       if (introInput) {
         introInput.value = this.formatTime(introSkipStart || 0);
       }
       if (outroInput) {
-        outroInput.value = this.formatTime(outroStartSeconds || 0);
-      }
-      if (durationInput) {
-        durationInput.value = String(outroSkipDuration || 0);
+        outroInput.value = TimeSpec.format(this.currentSettings.outroStart);
       }
+      this.renderTimingSources(sources);
+      this.updateSaveScopeOptions();
       
       this.updateStatus('Settings loaded successfully', 'success');
       return true;
@@ -492,7 +2253,7 @@ class PopupController {
       if (!this.isAnimeXinTab()) return;
       await chrome.scripting.executeScript({
         target: { tabId: this.currentTab.id, allFrames: false },
-        files: ['content.js']
+        files: ['storage.js', 'series.js', 'automation.js', 'providers.js', 'server-priority.js', 'failover.js', 'resume.js', 'episode.js', 'hotkeys.js', 'countdown.js', 'timing.js', 'segments.js', 'layers.js', 'speed.js', 'volume.js', 'sleep.js', 'fingerprint.js', 'credits.js', 'intro-detect.js', 'outro-detect.js', 'content.js']
       });
     } catch (error) {
       // Surface minimal info; the retry will still fail if injection didn't work
@@ -500,14 +2261,58 @@ class PopupController {
     }
   }
 
+  /**
+   * Refresh displayed values when the current series is edited elsewhere
+   */
+  watchSettingsChanges() {
+    try {
+      this.settingsStore.onSeriesChanged((series, settings) => {
+        if (!this.currentSettings || series !== this.currentSettings.series || !settings) return;
+        this.seriesSettings = settings;
+        this.renderOverrides();
+        this.refreshResolvedTimings();
+        this.renderOutroSuggestion(settings);
+      });
+      this.settingsStore.onGlobalChanged((globals) => {
+        if (!this.currentSettings) return;
+        this.globalDefaults = globals.defaults || null;
+        this.refreshResolvedTimings();
+      });
+    } catch (error) {
+      console.error('Settings change subscription failed:', error);
+    }
+  }
+
+  /**
+   * Re-resolve the layered timings for this episode after a stored change
+   */
+  refreshResolvedTimings() {
+    const { values, sources } = SettingsLayers.resolve(this.globalDefaults, this.seriesSettings, this.currentEpisode);
+    this.currentSettings = {
+      series: this.currentSettings.series,
+      ...values
+    };
+    this.renderTimingSources(sources);
+
+    // Don't overwrite a field the user is typing into
+    const introInput = this.getElement('intro-skip-start');
+    const outroInput = this.getElement('outro-start');
+    if (introInput && document.activeElement !== introInput) {
+      introInput.value = this.formatTime(this.currentSettings.introSkipStart);
+    }
+    if (outroInput && document.activeElement !== outroInput) {
+      outroInput.value = TimeSpec.format(this.currentSettings.outroStart);
+    }
+  }
+
   /**
    * Check if existing settings are configured
    */
   hasExistingSettings() {
     if (!this.currentSettings) return false;
     
-    const { introSkipStart, outroSkipDuration, outroStartSeconds } = this.currentSettings;
-    return introSkipStart > 0 || outroSkipDuration > 0 || outroStartSeconds > 0;
+    const { introSkipStart, outroStart } = this.currentSettings;
+    return introSkipStart > 0 || Boolean(outroStart);
   }
 
   /**
@@ -535,9 +2340,12 @@ class PopupController {
         <button id="show-settings-btn" type="button" class="save-btn" style="margin-bottom: 10px;">
           🛠️ Modify Settings
         </button>
-        <button id="show-floating-ui-btn" type="button" class="save-btn">
+        <button id="show-floating-ui-btn" type="button" class="save-btn" style="margin-bottom: 10px;">
           📋 Show Floating Panel
         </button>
+        <button id="manage-series-btn" type="button" class="secondary-btn">
+          ⚙️ Manage All Series
+        </button>
       `;
 
       // Insert after header
@@ -561,6 +2369,8 @@ class PopupController {
         }).catch(console.error);
       });
 
+      document.getElementById('manage-series-btn')?.addEventListener('click', () => this.openSeriesManager());
+
     } catch (error) {
       console.error('Settings override show failed:', error);
     }
@@ -685,7 +2495,8 @@ class PopupController {
    */
   disableInputs() {
     try {
-      const inputs = document.querySelectorAll('input:not([readonly])');
+      // Global preferences stay editable without an AnimeXin tab
+      const inputs = document.querySelectorAll('input:not([readonly]):not([data-scope="global"])');
       const saveBtn = document.getElementById('save-settings');
       
       inputs.forEach(input => {
@@ -0,0 +1,290 @@
+/**
+ * AnimeXin Player Controller - Player Provider Adapters
+ * One adapter per player kind/host. The controller never branches on a host:
+ * it asks the registry for the active player and talks to its adapter.
+ *
+ * Supporting a new mirror host = registering one adapter in createDefaultProviderRegistry().
+ *
+ * Adapter contract:
+ * - id / kind ('iframe' | 'video') / selector
+ * - enableApi(element)            one-time setup once the element is live
+ * - bindEvents(element, onEvent)  local players only; emits normalised events
+ * - normalizeMessage(event)       iframe players; window message -> { event, data } or null
+ * - sendCommand(element, command, data)
+ * - isSeekable(element, state)    state = { playerReady, duration }
+ * - delegateFullscreen(element)   in-frame fullscreen when the top page is blocked
+ */
+
+const BRIDGE_MESSAGE_SOURCE = 'animexin-controller';
+
+/**
+ * Base adapter with no-op defaults
+ */
+class PlayerAdapter {
+  constructor({ id, kind, selector }) {
+    this.id = id;
+    this.kind = kind;
+    this.selector = selector;
+  }
+
+  matches(element) {
+    try {
+      return !!element && element.matches(this.selector);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  enableApi(element) {}
+
+  bindEvents(element, onEvent) {}
+
+  normalizeMessage(event) {
+    return null;
+  }
+
+  sendCommand(element, command, data) {}
+
+  isSeekable(element, state) {
+    return false;
+  }
+
+  delegateFullscreen(element) {
+    return false;
+  }
+}
+
+/**
+ * Iframe whose host runs one of our bridge scripts (bridge-core.js protocol)
+ */
+class BridgedFrameAdapter extends PlayerAdapter {
+  constructor({ id, selector }) {
+    super({ id, kind: 'iframe', selector });
+  }
+
+  normalizeMessage(event) {
+    const { data } = event;
+    if (!data || typeof data !== 'object') return null;
+    if (data.source !== BRIDGE_MESSAGE_SOURCE || data.type !== 'dm_bridge_event') return null;
+    return { event: data.event, data: data.data };
+  }
+
+  sendCommand(element, command, data) {
+    if (!element?.contentWindow) return;
+    element.contentWindow.postMessage({
+      source: BRIDGE_MESSAGE_SOURCE,
+      type: 'dm_bridge_command',
+      action: command,
+      data
+    }, '*');
+  }
+
+  isSeekable(element, state) {
+    return state.playerReady && state.duration > 0;
+  }
+
+  delegateFullscreen(element) {
+    this.sendCommand(element, 'fullscreen');
+    return true;
+  }
+}
+
+/**
+ * Dailymotion: our bridge plus the native postMessage embed API as a fallback
+ */
+class DailymotionAdapter extends BridgedFrameAdapter {
+  constructor() {
+    super({ id: 'dailymotion', selector: 'iframe[src*="dailymotion.com"]' });
+  }
+
+  /**
+   * Ensure API enabled and subscribe to native embed events
+   */
+  enableApi(element) {
+    // Ensure API and origin are present in iframe URL to enable postMessage API
+    this.ensureApiEnabled(element);
+
+    const subscribe = (eventName) => {
+      const variants = [
+        { command: 'addEventListener', event: eventName },
+        { method: 'addEventListener', params: [eventName] }
+      ];
+      variants.forEach((payload) => {
+        try {
+          element.contentWindow.postMessage(payload, '*');
+        } catch (_) {}
+      });
+    };
+
+    ['apiready','play','pause','timeupdate','durationchange','ended'].forEach(subscribe);
+  }
+
+  ensureApiEnabled(iframe) {
+    try {
+      const url = new URL(iframe.src, window.location.href);
+      let changed = false;
+      if (!url.searchParams.has('api')) {
+        url.searchParams.set('api', '1');
+        changed = true;
+      }
+      if (!url.searchParams.has('origin')) {
+        url.searchParams.set('origin', window.location.origin);
+        changed = true;
+      }
+      if (changed) {
+        iframe.src = url.toString();
+      }
+    } catch (_) {
+      // Ignore if we can't parse or set
+    }
+  }
+
+  normalizeMessage(event) {
+    // Path 1: Our DM bridge inside Dailymotion iframe
+    const bridged = super.normalizeMessage(event);
+    if (bridged) return bridged;
+
+    // Path 2: Native Dailymotion embed events
+    const { origin, data } = event;
+    if (!data || typeof data !== 'object') return null;
+    if (!origin || !/dailymotion\.com/i.test(origin)) return null;
+
+    let normalized = null;
+    if (data.event) {
+      normalized = { event: data.event, data: data.data || data };
+    } else if (data.type) {
+      normalized = { event: data.type, data: data.data || data };
+    } else if (data.name) {
+      normalized = { event: data.name, data: data.data || data };
+    }
+    if (!normalized) return null;
+    if (normalized.event === 'timeupdate') {
+      const t = (normalized.data && (normalized.data.time ?? normalized.data.currentTime ?? normalized.data.position))
+        ?? (typeof normalized.data === 'number' ? normalized.data : undefined);
+      if (typeof t === 'number') normalized.data = { time: t };
+    }
+    if (normalized.event === 'durationchange' || normalized.event === 'duration') {
+      const d = (normalized.data && (normalized.data.duration ?? normalized.data.length))
+        ?? (typeof normalized.data === 'number' ? normalized.data : undefined);
+      if (typeof d === 'number') normalized.data = { duration: d };
+      normalized.event = 'durationchange';
+    }
+    return normalized;
+  }
+}
+
+/**
+ * Local <video> element on the AnimeXin page itself
+ */
+class Html5VideoAdapter extends PlayerAdapter {
+  constructor() {
+    super({ id: 'html5', kind: 'video', selector: '.player .video_view video, video#video' });
+  }
+
+  bindEvents(v, onEvent) {
+    // Use passive listeners for all video events to improve scroll performance
+    v.addEventListener('play', () => onEvent({ event: 'play' }), { passive: true });
+    v.addEventListener('pause', () => onEvent({ event: 'pause' }), { passive: true });
+    v.addEventListener('timeupdate', () => onEvent({ event: 'timeupdate', data: { time: v.currentTime } }), { passive: true });
+    v.addEventListener('durationchange', () => onEvent({ event: 'durationchange', data: { duration: v.duration } }), { passive: true });
+    v.addEventListener('ratechange', () => onEvent({ event: 'ratechange', data: { rate: v.playbackRate } }), { passive: true });
+    v.addEventListener('volumechange', () => onEvent({
+      event: 'volume',
+      data: { volume: v.volume, muted: v.muted, user: !!navigator.userActivation?.isActive }
+    }), { passive: true });
+    v.addEventListener('ended', () => onEvent({ event: 'ended' }), { passive: true });
+    v.addEventListener('error', () => onEvent({ event: 'error', data: { code: v.error?.code || 0 } }), { passive: true });
+  }
+
+  sendCommand(v, command, data) {
+    switch (command) {
+      case 'seek':
+        if (data && typeof data.time === 'number') {
+          v.currentTime = Math.max(0, data.time);
+        }
+        break;
+      case 'play':
+        v.play().catch(() => {});
+        break;
+      case 'pause':
+        v.pause();
+        break;
+      case 'unmute':
+        v.muted = false;
+        if (typeof data?.volume === 'number') {
+          v.volume = Math.max(0, Math.min(1, data.volume));
+        }
+        v.play().catch(() => {});
+        break;
+      case 'set_volume':
+        if (Number.isFinite(data?.volume)) {
+          v.volume = Math.max(0, Math.min(1, data.volume));
+        }
+        break;
+      case 'set_muted':
+        v.muted = !!data?.muted;
+        break;
+      case 'set_playback_rate':
+        if (Number.isFinite(Number(data?.rate))) {
+          v.playbackRate = Math.max(0.25, Math.min(4, Number(data.rate)));
+        }
+        break;
+    }
+  }
+
+  isSeekable(v) {
+    const hasMeta = v.readyState >= 1; // HAVE_METADATA
+    const hasDur = Number.isFinite(v.duration) && v.duration > 0;
+    const seekable = v.seekable && v.seekable.length > 0;
+    return hasMeta && hasDur && seekable;
+  }
+}
+
+/**
+ * Ordered adapter list; earlier adapters win when several players are present
+ */
+class ProviderRegistry {
+  constructor() {
+    this.adapters = [];
+  }
+
+  register(adapter) {
+    this.adapters.push(adapter);
+    return this;
+  }
+
+  get(id) {
+    return this.adapters.find(a => a.id === id) || null;
+  }
+
+  /**
+   * Combined selector of every adapter, for cheap DOM mutation filtering
+   */
+  selector() {
+    return this.adapters.map(a => a.selector).join(', ');
+  }
+
+  adapterFor(element) {
+    return this.adapters.find(a => a.matches(element)) || null;
+  }
+
+  /**
+   * First player on the page in adapter priority order: { adapter, element } or null
+   */
+  findPlayer(root = document) {
+    for (const adapter of this.adapters) {
+      const element = root.querySelector(adapter.selector);
+      if (element) return { adapter, element };
+    }
+    return null;
+  }
+}
+
+function createDefaultProviderRegistry() {
+  return new ProviderRegistry()
+    .register(new DailymotionAdapter())
+    .register(new BridgedFrameAdapter({ id: 'okru', selector: 'iframe[src*="ok.ru/videoembed"]' }))
+    .register(new BridgedFrameAdapter({ id: 'rumble', selector: 'iframe[src*="rumble.com/embed"]' }))
+    .register(new BridgedFrameAdapter({ id: 'mega', selector: 'iframe[src*="mega.nz/embed"]' }))
+    .register(new Html5VideoAdapter());
+}
@@ -0,0 +1,186 @@
+/**
+ * AnimeXin Player Controller - Playback Resume
+ * Remembers where the viewer stopped in each episode:
+ * - the position is saved every few seconds while playing and when the page is hidden
+ * - on return it is resumed automatically (or offered, in "ask" mode) instead of the intro skip
+ * - positions inside the "treat as finished" window before the end or past the outro are not resumed
+ *
+ * Shared by the content script (tracking) and the popup (preferences).
+ */
+
+const RESUME_DEFAULTS = {
+  resumeMode: 'auto',
+  resumeFinishedSeconds: 120
+};
+
+const RESUME_MODES = ['auto', 'ask', 'off'];
+
+class PlaybackResume {
+  constructor(controller) {
+    this.controller = controller;
+    this.saveIntervalMs = 5000;
+    this.minResumeSeconds = 10;
+    this.promptTimeoutMs = 15000;
+    this.mode = RESUME_DEFAULTS.resumeMode;
+    this.finishedSeconds = RESUME_DEFAULTS.resumeFinishedSeconds;
+    this.lastSavedAt = 0;
+    this.lastSavedTime = null;
+    // Nothing is recorded until the stored position was resumed or declined,
+    // otherwise the first seconds of playback would overwrite it
+    this.ready = false;
+    this.prompt = null;
+    this.promptTimer = null;
+  }
+
+  static normalizeMode(mode) {
+    return RESUME_MODES.includes(mode) ? mode : RESUME_DEFAULTS.resumeMode;
+  }
+
+  static normalizeFinishedSeconds(value) {
+    const num = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(num) || num < 0) {
+      return RESUME_DEFAULTS.resumeFinishedSeconds;
+    }
+    return Math.min(Math.floor(num), 3600);
+  }
+
+  episodeKey() {
+    return window.location.pathname.replace(/^\/+|\/+$/g, '') || 'index';
+  }
+
+  applyGlobalSettings(globals) {
+    this.mode = PlaybackResume.normalizeMode(globals?.resumeMode);
+    this.finishedSeconds = PlaybackResume.normalizeFinishedSeconds(globals?.resumeFinishedSeconds);
+  }
+
+  /**
+   * Queue or offer the stored position for this episode, then start recording
+   */
+  async restore() {
+    let offered = false;
+    try {
+      this.bindPageHide();
+      const store = this.controller.settingsStore;
+      const position = await store.getPosition(this.episodeKey());
+      store.prunePositions().catch(() => {});
+
+      // Resuming is an automatic seek: paused automation leaves the episode at its start
+      if (this.mode === 'off' || !this.controller.automation.enabled || !position || position.finished) return;
+      const time = this.controller.validateTimeValue(position.time);
+      if (time < this.minResumeSeconds || this.isFinished(time, position.duration)) return;
+
+      if (this.mode === 'ask') {
+        offered = this.offer(time);
+      } else {
+        this.controller.resumeAt(time);
+      }
+    } catch (error) {
+      this.controller.errorReporter.reportError('Resume position loading failed', error);
+    } finally {
+      if (!offered) this.ready = true;
+    }
+  }
+
+  /**
+   * Inside the finished window before the end, or past the configured outro
+   */
+  isFinished(time, duration) {
+    const total = Number(duration) || 0;
+    if (total <= 0) return false;
+    const outroStart = this.controller.getOutroStart(total);
+    if (outroStart > 0 && time >= outroStart) return true;
+    return time >= total - this.finishedSeconds;
+  }
+
+  /**
+   * Throttled save from time updates
+   */
+  record(time, duration) {
+    if (Date.now() - this.lastSavedAt < this.saveIntervalMs) return;
+    this.save(time, duration);
+  }
+
+  /**
+   * Save immediately (page hide, episode end)
+   */
+  flush() {
+    this.save(this.controller.currentTime, this.controller.duration);
+  }
+
+  save(time, duration) {
+    // A queued resume or failover seek means currentTime does not reflect the viewer's position yet
+    if (!this.ready || this.controller.pendingResumeTime > 0) return;
+    if (!(time > 0) || time === this.lastSavedTime) return;
+
+    this.lastSavedAt = Date.now();
+    this.lastSavedTime = time;
+    const position = {
+      time,
+      duration: Number(duration) || 0,
+      finished: this.isFinished(time, duration)
+    };
+    this.controller.settingsStore.setPosition(this.episodeKey(), position).catch((error) => {
+      this.controller.errorReporter.reportError('Resume position saving failed', error);
+    });
+  }
+
+  bindPageHide() {
+    window.addEventListener('pagehide', () => this.flush(), { passive: true });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    }, { passive: true });
+  }
+
+  /**
+   * "Resume from mm:ss?" prompt; declines by itself after promptTimeoutMs
+   */
+  offer(time) {
+    if (!document.body) return false;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'animexin-resume-prompt';
+    prompt.setAttribute('role', 'alertdialog');
+    prompt.setAttribute('aria-label', 'Resume playback');
+
+    const text = document.createElement('span');
+    text.textContent = `Resume from ${this.controller.formatTime(time)}?`;
+
+    const resumeBtn = document.createElement('button');
+    resumeBtn.type = 'button';
+    resumeBtn.className = 'animexin-overlay-btn';
+    resumeBtn.textContent = 'Resume';
+
+    const restartBtn = document.createElement('button');
+    restartBtn.type = 'button';
+    restartBtn.className = 'animexin-overlay-btn secondary';
+    restartBtn.textContent = 'Start over';
+
+    resumeBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.decide(time);
+    });
+    restartBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.decide(null);
+    });
+
+    prompt.append(text, resumeBtn, restartBtn);
+    document.body.appendChild(prompt);
+    this.prompt = prompt;
+    this.promptTimer = setTimeout(() => this.decide(null), this.promptTimeoutMs);
+    return true;
+  }
+
+  decide(time) {
+    if (this.promptTimer) {
+      clearTimeout(this.promptTimer);
+      this.promptTimer = null;
+    }
+    if (this.prompt) {
+      this.prompt.remove();
+      this.prompt = null;
+    }
+    if (time) this.controller.resumeAt(time);
+    this.ready = true;
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * AnimeXin Rumble Bridge
+ * Injected into https://rumble.com/embed/* iframes so Rumble mirrors answer the
+ * same dm_bridge_command / dm_bridge_event protocol as the Dailymotion bridge.
+ */
+
+(function () {
+  try {
+    if (!window.AnimeXinBridge) return;
+
+    window.AnimeXinBridge.create({
+      provider: 'rumble',
+      videoSelector: 'video'
+    });
+  } catch (e) {
+    // Silent fail inside third-party frame
+  }
+})();
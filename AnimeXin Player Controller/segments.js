@@ -0,0 +1,94 @@
+/**
+ * AnimeXin Player Controller - Skip Segments
+ * Ordered, named parts of an episode with what to do when the playhead enters them:
+ * - skip:     seek to the segment end
+ * - navigate: start the next episode countdown
+ * - mute:     mute until the playhead leaves the segment
+ *
+ * A segment is { name, start, end, action }; start and end are time specs (seconds,
+ * '-N' before the end or 'P%', see timing.js) and `end: null` runs to the end of the video.
+ * Shared by the content script (enforcement, floating UI) and the popup.
+ */
+
+const SEGMENT_NAMES = {
+  recap: 'Recap',
+  intro: 'Intro',
+  midcard: 'Mid-card',
+  outro: 'Outro',
+  preview: 'Preview'
+};
+
+const SEGMENT_ACTIONS = {
+  skip: 'Skip',
+  navigate: 'Next episode',
+  mute: 'Mute'
+};
+
+const MAX_SEGMENTS = 10;
+
+class SkipSegments {
+  /**
+   * Sanitize one segment; returns null when it is unusable
+   */
+  static normalize(segment) {
+    if (!segment || typeof segment !== 'object') return null;
+
+    const name = Object.prototype.hasOwnProperty.call(SEGMENT_NAMES, segment.name) ? segment.name : null;
+    const action = Object.prototype.hasOwnProperty.call(SEGMENT_ACTIONS, segment.action) ? segment.action : 'skip';
+    const openEnded = segment.end === null || segment.end === undefined || segment.end === '';
+    const start = TimeSpec.normalize(segment.start);
+    const end = openEnded ? null : TimeSpec.normalize(segment.end);
+
+    if (!name || start === null || (!openEnded && end === null)) return null;
+    // Ends on a different anchor than the start can only be checked against a duration
+    if (end !== null && TimeSpec.anchor(start) === TimeSpec.anchor(end) && TimeSpec.compare(end, start) <= 0) {
+      return null;
+    }
+    return { name, start, end, action };
+  }
+
+  /**
+   * Sanitized list ordered by start (see TimeSpec.compare)
+   */
+  static normalizeList(segments) {
+    if (!Array.isArray(segments)) return [];
+    return segments
+      .map(SkipSegments.normalize)
+      .filter(Boolean)
+      .sort((a, b) => TimeSpec.compare(a.start, b.start))
+      .slice(0, MAX_SEGMENTS);
+  }
+
+  static label(segment) {
+    return SEGMENT_NAMES[segment.name] || segment.name;
+  }
+
+  static describe(segment) {
+    const end = segment.end === null ? 'end' : TimeSpec.format(segment.end);
+    return `${SkipSegments.label(segment)} ${TimeSpec.format(segment.start)} to ${end} · ${SEGMENT_ACTIONS[segment.action]}`;
+  }
+
+  /**
+   * { start, end } in seconds for a video of `duration`; null while a relative
+   * time has no duration to resolve against, or when the segment does not fit it
+   */
+  static bounds(segment, duration) {
+    const start = TimeSpec.resolve(segment.start, duration);
+    if (start === null) return null;
+
+    const openEnd = duration > 0 ? duration : Infinity;
+    const end = segment.end === null ? openEnd : TimeSpec.resolve(segment.end, duration);
+    if (end === null || end <= start || (duration > 0 && start >= duration)) return null;
+    return { start, end: Math.min(end, openEnd) };
+  }
+
+  /**
+   * Segment containing `time`, first in list order
+   */
+  static at(segments, time, duration) {
+    return segments.find((segment) => {
+      const bounds = SkipSegments.bounds(segment, duration);
+      return bounds !== null && time >= bounds.start && time < bounds.end;
+    }) || null;
+  }
+}
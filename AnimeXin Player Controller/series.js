@@ -0,0 +1,164 @@
+/**
+ * AnimeXin Player Controller - Series Keys
+ * The settings profile for a page comes from its URL slug in three steps:
+ * 1. the `-episode-<n>...` tail is cut off (`martial-master-episode-445-indonesia-english-sub`)
+ * 2. normalisation rules strip trailing language tags (`-indonesia-english-sub`), season
+ *    markers (`-season-5`, `-s5`, `-5th-season`) and user-defined suffixes
+ * 3. aliases map what is left onto another profile, so several slugs share one
+ *
+ * Rules and aliases live in the global preferences as `seriesRules` and
+ * `seriesAliases: { [alias]: series }`. Shared by the content script, the popup
+ * and the series settings page.
+ */
+
+const SERIES_RULE_DEFAULTS = {
+  language: false,
+  season: false,
+  suffixes: []
+};
+
+const SERIES_LANGUAGE_WORDS = [
+  'indonesia', 'indonesian', 'indo', 'english', 'eng', 'chinese', 'multi',
+  'sub', 'subs', 'subbed', 'subtitle', 'subtitles', 'dub', 'dubbed', 'raw'
+];
+
+const SERIES_SEASON_RE = /-(?:season-\d+|s\d+|\d+(?:st|nd|rd|th)-season)$/;
+
+// Path prefixes of listing pages whose series slug is the next segment
+const SERIES_PATH_PREFIXES = ['anime', 'series'];
+
+const MAX_SERIES_ALIASES = 100;
+const MAX_SERIES_SUFFIXES = 20;
+
+class SeriesKey {
+  static normalizeRules(rules) {
+    const source = rules && typeof rules === 'object' ? rules : {};
+    const suffixes = Array.isArray(source.suffixes) ? source.suffixes : [];
+    return {
+      language: typeof source.language === 'boolean' ? source.language : SERIES_RULE_DEFAULTS.language,
+      season: typeof source.season === 'boolean' ? source.season : SERIES_RULE_DEFAULTS.season,
+      suffixes: [...new Set(suffixes
+        .map(suffix => SeriesKey.slug(String(suffix || '').replace(/^-+/, '')))
+        .filter(Boolean))]
+        .slice(0, MAX_SERIES_SUFFIXES)
+    };
+  }
+
+  /**
+   * Valid slug or '' (SettingsStore.validateSeriesName returns 'unknown' instead)
+   */
+  static slug(value) {
+    const slug = SettingsStore.validateSeriesName(String(value || '').trim().replace(/\s+/g, '-'));
+    return slug === 'unknown' ? '' : slug.replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * { [alias]: series } with invalid entries, self references and chains removed;
+   * a chain a -> b -> c is flattened to a -> c and b -> c
+   */
+  static normalizeAliases(aliases) {
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) return {};
+
+    const clean = {};
+    Object.keys(aliases).slice(0, MAX_SERIES_ALIASES).forEach((key) => {
+      const alias = SeriesKey.slug(key);
+      const series = SeriesKey.slug(aliases[key]);
+      if (alias && series && alias !== series) clean[alias] = series;
+    });
+
+    const target = (alias) => {
+      const seen = new Set([alias]);
+      let series = clean[alias];
+      while (clean[series] && !seen.has(series)) {
+        seen.add(series);
+        series = clean[series];
+      }
+      return seen.has(series) ? null : series;
+    };
+    const flat = {};
+    Object.keys(clean).forEach((alias) => {
+      const series = target(alias);
+      if (series) flat[alias] = series;
+    });
+    return flat;
+  }
+
+  /**
+   * Page path -> slug before the `-episode-<n>` tail, or 'unknown'
+   */
+  static fromPath(pathname) {
+    const parts = String(pathname || '').split('/').filter(Boolean);
+    const index = SERIES_PATH_PREFIXES.includes(parts[0]) && parts[1] ? 1 : 0;
+    const base = parts[index] || '';
+    const idx = base.indexOf('-episode-');
+    return SettingsStore.validateSeriesName(idx > 0 ? base.substring(0, idx) : base);
+  }
+
+  /**
+   * Strip language, season and custom suffixes until none applies; at least one
+   * word is always kept
+   */
+  static applyRules(slug, rules) {
+    const { language, season, suffixes } = SeriesKey.normalizeRules(rules);
+    let current = slug;
+    let previous = null;
+    while (current !== previous) {
+      previous = current;
+      if (language) {
+        const words = current.split('-');
+        while (words.length > 1 && SERIES_LANGUAGE_WORDS.includes(words[words.length - 1])) words.pop();
+        current = words.join('-');
+      }
+      if (season) current = current.replace(SERIES_SEASON_RE, '') || current;
+      suffixes.forEach((suffix) => {
+        if (current.endsWith(`-${suffix}`)) current = current.substring(0, current.length - suffix.length - 1);
+      });
+    }
+    return current;
+  }
+
+  /**
+   * Raw slug -> settings profile key. An alias for the exact slug wins, so one
+   * season can still be split off when season markers are stripped.
+   */
+  static resolve(slug, globals) {
+    if (!slug || slug === 'unknown') return 'unknown';
+    const aliases = SeriesKey.normalizeAliases(globals?.seriesAliases);
+    if (aliases[slug]) return aliases[slug];
+
+    const normalized = SeriesKey.applyRules(slug, globals?.seriesRules);
+    return aliases[normalized] || normalized;
+  }
+
+  /**
+   * Aliases pointing at `series`
+   */
+  static aliasesOf(series, aliases) {
+    const clean = SeriesKey.normalizeAliases(aliases);
+    return Object.keys(clean).filter(alias => clean[alias] === series).sort();
+  }
+
+  /**
+   * Alias map with `alias` -> `series` added; throws with a user-facing reason
+   */
+  static addAlias(aliases, alias, series) {
+    const from = SeriesKey.slug(alias);
+    const to = SeriesKey.slug(series);
+    if (!from || !to) throw new Error('Aliases need two series slugs (letters, digits and "-")');
+    if (from === to) throw new Error('A series cannot be an alias of itself');
+
+    const clean = SeriesKey.normalizeAliases(aliases);
+    const target = clean[to] || to;
+    if (target === from) throw new Error(`${to} is already an alias of ${from}`);
+    if (!clean[from] && Object.keys(clean).length >= MAX_SERIES_ALIASES) {
+      throw new Error(`At most ${MAX_SERIES_ALIASES} aliases`);
+    }
+
+    // Whatever pointed at the new alias now follows it to the same profile
+    Object.keys(clean).forEach((key) => {
+      if (clean[key] === from) clean[key] = target;
+    });
+    clean[from] = target;
+    return SeriesKey.normalizeAliases(clean);
+  }
+}
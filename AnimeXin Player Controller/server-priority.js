@@ -0,0 +1,96 @@
+/**
+ * AnimeXin Player Controller - Server Priority Rules
+ * Ordered match rules for the `select.mirror` server dropdown, shared by the
+ * content script (selection/failover) and the popup (editing).
+ *
+ * A rule matches an option when its normalised label contains every keyword,
+ * the language (if set) and the host (if set).
+ */
+
+const DEFAULT_SERVER_RULES = [
+  { keywords: ['hardsub'], language: 'english', host: 'dailymotion' },
+  // Often Dailymotion for older videos
+  { keywords: ['all player sub'], language: '', host: '' },
+  { keywords: ['hardsub'], language: 'english', host: 'ok' },
+  { keywords: [], language: '', host: 'dailymotion' }
+];
+
+class ServerPriority {
+  constructor(rules) {
+    this.rules = ServerPriority.normalizeList(rules);
+  }
+
+  static defaults() {
+    return DEFAULT_SERVER_RULES.map(rule => ({ ...rule, keywords: [...rule.keywords] }));
+  }
+
+  static normalizeText(text) {
+    if (!text || typeof text !== 'string') return '';
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Sanitize one rule; returns null when it would match every option
+   */
+  static normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+
+    const clean = (value) => ServerPriority.normalizeText(String(value || '')).replace(/[^a-z0-9 .\-_]/g, '').substring(0, 40);
+    const keywords = (Array.isArray(rule.keywords) ? rule.keywords : String(rule.keywords || '').split(','))
+      .map(clean)
+      .filter(Boolean)
+      .slice(0, 5);
+    const language = clean(rule.language);
+    const host = clean(rule.host);
+
+    if (keywords.length === 0 && !language && !host) return null;
+    return { keywords, language, host };
+  }
+
+  /**
+   * Sanitize a stored list, falling back to the built-in order when empty or invalid
+   */
+  static normalizeList(rules) {
+    if (!Array.isArray(rules)) return ServerPriority.defaults();
+    const normalized = rules.map(ServerPriority.normalizeRule).filter(Boolean).slice(0, 20);
+    return normalized.length > 0 ? normalized : ServerPriority.defaults();
+  }
+
+  static describe(rule) {
+    const parts = [...rule.keywords];
+    if (rule.language) parts.push(rule.language);
+    if (rule.host) parts.push(rule.host);
+    return parts.join(' · ');
+  }
+
+  static matches(rule, text) {
+    const label = ServerPriority.normalizeText(text);
+    if (!label) return false;
+    if (rule.keywords.some(keyword => !label.includes(keyword))) return false;
+    if (rule.language && !label.includes(rule.language)) return false;
+    if (rule.host && !label.includes(rule.host)) return false;
+    return true;
+  }
+
+  /**
+   * Index of the first rule matching the option, or -1
+   */
+  rankOf(option) {
+    return this.rules.findIndex(rule => ServerPriority.matches(rule, option.textContent));
+  }
+
+  /**
+   * Options matching any rule, best first (ties keep dropdown order)
+   */
+  rankOptions(options) {
+    return Array.from(options || [])
+      .map((option, index) => ({ option, index, rank: this.rankOf(option) }))
+      .filter(entry => entry.rank >= 0)
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(entry => entry.option);
+  }
+
+  findPreferred(options) {
+    return this.rankOptions(options)[0] || null;
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * AnimeXin Player Controller - Sleep Timer & Binge Limit
+ * Stops the episode chain instead of auto-advancing forever:
+ * - sleep timer: pause after a number of minutes, or at the end of the current episode
+ *   (the point where the next episode countdown would start)
+ * - binge limit: the countdown stops starting once N episodes were auto-advanced
+ *   this session; setting a new limit starts counting again
+ *
+ * State lives in this tab's sessionStorage, so it carries over to the next episode page
+ * and ends with the tab. Pausing fades the volume out over a few seconds through
+ * `set_volume`, then puts the level back for when playback resumes.
+ *
+ * Shared by the content script (timer, fade) and the popup (presets, status).
+ */
+
+const SLEEP_MINUTE_PRESETS = [15, 30, 45, 60, 90];
+const SLEEP_MAX_MINUTES = 600;
+const BINGE_MAX_EPISODES = 50;
+const SLEEP_FADE = {
+  seconds: 8,
+  steps: 16
+};
+
+class SleepTimer {
+  constructor(controller) {
+    this.controller = controller;
+    this.timer = null;
+    this.expired = false;
+    this.fading = false;
+    this.fadeTimer = null;
+  }
+
+  static normalizeMinutes(value) {
+    const num = Math.floor(Number(value));
+    if (value === null || value === '' || !Number.isFinite(num) || num < 1) return null;
+    return Math.min(num, SLEEP_MAX_MINUTES);
+  }
+
+  /**
+   * Episodes before auto-advance stops; 0 for no limit
+   */
+  static normalizeLimit(value) {
+    const num = Math.floor(Number(value));
+    if (!Number.isFinite(num) || num < 0) return 0;
+    return Math.min(num, BINGE_MAX_EPISODES);
+  }
+
+  /**
+   * -> { timer: null | { type: 'minutes', deadline } | { type: 'episode' }, limit, watched }
+   */
+  static normalizeState(raw) {
+    const state = { timer: null, limit: 0, watched: 0 };
+    if (!raw || typeof raw !== 'object') return state;
+    if (raw.timer?.type === 'episode') state.timer = { type: 'episode' };
+    else if (raw.timer?.type === 'minutes' && Number.isFinite(raw.timer.deadline)) state.timer = { type: 'minutes', deadline: raw.timer.deadline };
+    state.limit = SleepTimer.normalizeLimit(raw.limit);
+    state.watched = Math.max(0, Math.floor(Number(raw.watched) || 0));
+    return state;
+  }
+
+  /**
+   * One line for the popup and floating panel; a clock time does not go stale
+   */
+  static describe(state, now = Date.now()) {
+    const parts = [];
+    if (state.timer?.type === 'minutes') {
+      const at = new Date(state.timer.deadline).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      parts.push(state.timer.deadline > now ? `Pausing at ${at}` : 'Pausing on next play');
+    } else if (state.timer?.type === 'episode') {
+      parts.push('Pausing at the end of this episode');
+    }
+    if (state.limit > 0) parts.push(`${Math.min(state.watched, state.limit)} of ${state.limit} episodes`);
+    return parts.length > 0 ? parts.join(' · ') : 'Sleep timer off';
+  }
+
+  static storageKey() {
+    return 'animexin-sleep';
+  }
+
+  read() {
+    try {
+      const raw = window.sessionStorage.getItem(SleepTimer.storageKey());
+      return SleepTimer.normalizeState(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return SleepTimer.normalizeState(null);
+    }
+  }
+
+  write(state) {
+    try {
+      window.sessionStorage.setItem(SleepTimer.storageKey(), JSON.stringify(state));
+    } catch (_) {}
+    const floatingUI = this.controller.floatingUI;
+    if (floatingUI) floatingUI.renderSleep();
+  }
+
+  /**
+   * Change the timer and/or limit; `timer`: 'off', 'episode' or a number of minutes
+   */
+  configure({ timer, limit } = {}) {
+    const state = this.read();
+    if (timer !== undefined) {
+      const minutes = SleepTimer.normalizeMinutes(timer);
+      if (timer === 'episode') state.timer = { type: 'episode' };
+      else if (minutes) state.timer = { type: 'minutes', deadline: Date.now() + minutes * 60000 };
+      else state.timer = null;
+    }
+    if (limit !== undefined) {
+      state.limit = SleepTimer.normalizeLimit(limit);
+      state.watched = 0;
+    }
+    this.write(state);
+    this.arm();
+    return state;
+  }
+
+  /**
+   * (Re)start the minutes timer from the stored deadline; called on every page
+   */
+  arm() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.expired = false;
+    if (!this.controller.isTopFrame) return;
+
+    const state = this.read();
+    if (state.timer?.type !== 'minutes') return;
+    const delay = state.timer.deadline - Date.now();
+    if (delay <= 0) {
+      // Ran out while the next page was loading
+      this.expired = true;
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.expire();
+    }, delay);
+  }
+
+  expire() {
+    if (!this.controller.isPlaying) {
+      this.expired = true;
+      return;
+    }
+    const state = this.read();
+    state.timer = null;
+    this.write(state);
+    this.sleep('Sleep timer: pausing playback');
+  }
+
+  handlePlay() {
+    if (this.expired) {
+      this.expired = false;
+      this.expire();
+    }
+  }
+
+  /**
+   * Whether the next episode countdown must not start; pauses instead
+   */
+  stopsAt(reason) {
+    if (!this.controller.isTopFrame) return false;
+    const state = this.read();
+    if (state.timer?.type === 'episode') {
+      state.timer = null;
+      this.write(state);
+      this.sleep(`Sleep timer: paused at the ${reason === 'outro' ? 'credits' : 'end of the episode'}`);
+      return true;
+    }
+    if (state.limit > 0 && state.watched >= state.limit) {
+      this.sleep(`Binge limit: ${state.watched} episode${state.watched === 1 ? '' : 's'} in a row, next episode not started`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Count an automatic advance to the next episode
+   */
+  countEpisode() {
+    const state = this.read();
+    if (state.limit === 0) return;
+    state.watched++;
+    this.write(state);
+  }
+
+  /**
+   * Fade out, pause and put the volume back; a running countdown is cancelled
+   */
+  sleep(message) {
+    const controller = this.controller;
+    const countdown = controller.nextCountdown;
+    if (countdown.active) {
+      countdown.stop();
+      countdown.cancelled = true;
+    }
+    controller.showUserNotification(message);
+    console.log(message);
+    if (this.fading) return;
+
+    const level = controller.volumeMemory.level ?? controller.volumeMemory.remembered()?.level ?? 1;
+    const { seconds, steps } = SLEEP_FADE;
+    let step = 0;
+    this.fading = true;
+    this.fadeTimer = setInterval(() => {
+      step++;
+      if (step < steps) {
+        controller.sendPlayerCommand('set_volume', { volume: Math.round(level * (1 - step / steps) * 100) / 100 });
+        return;
+      }
+      clearInterval(this.fadeTimer);
+      this.fadeTimer = null;
+      controller.sendPlayerCommand('pause');
+      controller.sendPlayerCommand('set_volume', { volume: level });
+      // Let the players report the restored level before volume changes are remembered again
+      setTimeout(() => { this.fading = false; }, 1000);
+    }, (seconds * 1000) / steps);
+  }
+}
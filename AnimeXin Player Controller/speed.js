@@ -0,0 +1,39 @@
+/**
+ * AnimeXin Player Controller - Playback Speed
+ * Rates go through `set_playback_rate { rate }` (every bridge and the HTML5 adapter);
+ * players report changes back as `ratechange { rate }`. A series can keep a default
+ * speed with its timings as `playbackRate`, applied when playback starts.
+ *
+ * Timings stay in media seconds; the content script checks the playhead more often
+ * at higher speeds so outros and short segments are not overshot.
+ * Shared by the content script and the popup.
+ */
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const PLAYBACK_RATE_MIN = 0.25;
+const PLAYBACK_RATE_MAX = 4;
+
+class PlaybackSpeed {
+  /**
+   * Rate within 0.25-4 rounded to hundredths, or null
+   */
+  static normalize(rate) {
+    const num = Number(rate);
+    if (rate === null || rate === '' || !Number.isFinite(num)) return null;
+    if (num < PLAYBACK_RATE_MIN || num > PLAYBACK_RATE_MAX) return null;
+    return Math.round(num * 100) / 100;
+  }
+
+  /**
+   * Next preset above (direction 1) or below (-1) `rate`
+   */
+  static step(rate, direction) {
+    const current = PlaybackSpeed.normalize(rate) ?? 1;
+    if (direction > 0) return PLAYBACK_RATES.find(preset => preset > current) ?? PLAYBACK_RATES[PLAYBACK_RATES.length - 1];
+    return [...PLAYBACK_RATES].reverse().find(preset => preset < current) ?? PLAYBACK_RATES[0];
+  }
+
+  static format(rate) {
+    return `${PlaybackSpeed.normalize(rate) ?? 1}×`;
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * AnimeXin Player Controller - Settings Storage
+ * Shared by the content script, popup and background worker:
+ * - Per-series settings and global preferences in chrome.storage.sync (follows the user across machines)
+ * - chrome.storage.local overflow when a sync quota is exceeded
+ * - Per-episode playback positions in chrome.storage.local only (written too often for sync quotas)
+ * - Per-series intro fingerprints in chrome.storage.local only (several KB each)
+ * - One-time migration of legacy `animexin_<series>` page localStorage keys
+ * - Change notifications so every open tab and the popup stay in sync
+ */
+
+class SettingsStore {
+  constructor() {
+    this.seriesPrefix = 'series_';
+    this.legacyPrefix = 'animexin_';
+    this.globalKey = 'global';
+    this.positionPrefix = 'position_';
+    this.maxPositions = 300;
+    this.fingerprintPrefix = 'fingerprint_';
+    this.maxFingerprintSeries = 100;
+    this.listeners = new Set();
+    this.globalListeners = new Set();
+    this.changeListenerBound = false;
+  }
+
+  /**
+   * Time values: non-negative whole seconds below 24 hours, 0 otherwise
+   */
+  static validateTimeValue(value) {
+    const num = Number(value);
+    if (isNaN(num) || num < 0 || num > 86400) return 0;
+    return Math.floor(num);
+  }
+
+  /**
+   * Series slugs: lowercase letters, digits, '-' and '_', at most 100 characters
+   */
+  static validateSeriesName(series) {
+    if (!series || typeof series !== 'string') return 'unknown';
+    const sanitized = series.replace(/[^a-zA-Z0-9\-_]/g, '').toLowerCase();
+    return sanitized.length > 0 && sanitized.length <= 100 ? sanitized : 'unknown';
+  }
+
+  seriesKey(series) {
+    return `${this.seriesPrefix}${series}`;
+  }
+
+  isSeriesKey(key) {
+    return typeof key === 'string' && key.startsWith(this.seriesPrefix);
+  }
+
+  /**
+   * Read settings for one series; sync wins, local holds overflowed entries
+   */
+  async getSeries(series) {
+    return this.getItem(this.seriesKey(series));
+  }
+
+  /**
+   * Read extension-wide preferences (server priority, ...)
+   */
+  async getGlobal() {
+    return (await this.getItem(this.globalKey)) || {};
+  }
+
+  /**
+   * Merge a partial update into the extension-wide preferences
+   */
+  async updateGlobal(patch) {
+    const merged = { ...(await this.getGlobal()), ...patch };
+    await this.setItem(this.globalKey, merged);
+    return merged;
+  }
+
+  async getItem(key) {
+    try {
+      const synced = await chrome.storage.sync.get(key);
+      if (synced && synced[key]) return synced[key];
+    } catch (error) {
+      console.warn('Sync storage read failed, falling back to local:', error?.message || error);
+    }
+
+    const local = await chrome.storage.local.get(key);
+    return (local && local[key]) || null;
+  }
+
+  /**
+   * Read every stored series profile as { [series]: settings }
+   */
+  async getAllSeries() {
+    const result = {};
+    const collect = (items) => {
+      Object.keys(items || {}).forEach((key) => {
+        if (!this.isSeriesKey(key)) return;
+        const series = key.substring(this.seriesPrefix.length);
+        // Sync entries are collected last so they take precedence
+        result[series] = items[key];
+      });
+    };
+
+    collect(await chrome.storage.local.get(null));
+    try {
+      collect(await chrome.storage.sync.get(null));
+    } catch (error) {
+      console.warn('Sync storage read failed:', error?.message || error);
+    }
+    return result;
+  }
+
+  /**
+   * Write settings for one series, overflowing to local storage on quota errors
+   */
+  async setSeries(series, settings) {
+    return this.setItem(this.seriesKey(series), settings);
+  }
+
+  async setItem(key, value) {
+    const entry = { [key]: value };
+
+    if (this.fitsSyncItemQuota(key, value)) {
+      try {
+        await chrome.storage.sync.set(entry);
+        // Drop any stale overflow copy so reads stay unambiguous
+        await chrome.storage.local.remove(key);
+        return 'sync';
+      } catch (error) {
+        if (!this.isQuotaError(error)) throw error;
+        console.warn('Sync quota exceeded, storing settings locally:', error.message);
+      }
+    }
+
+    await chrome.storage.local.set(entry);
+    try {
+      await chrome.storage.sync.remove(key);
+    } catch (_) {}
+    return 'local';
+  }
+
+  /**
+   * Merge a partial update into the stored settings for one series
+   */
+  async updateSeries(series, patch) {
+    const current = (await this.getSeries(series)) || {};
+    const merged = { ...current, ...patch };
+    await this.setSeries(series, merged);
+    return merged;
+  }
+
+  async removeSeries(series) {
+    const key = this.seriesKey(series);
+    await chrome.storage.local.remove([key, this.fingerprintKey(series)]);
+    try {
+      await chrome.storage.sync.remove(key);
+    } catch (_) {}
+  }
+
+  positionKey(episode) {
+    return `${this.positionPrefix}${episode}`;
+  }
+
+  /**
+   * Last saved playback position for one episode: { time, duration, finished, updatedAt } or null
+   */
+  async getPosition(episode) {
+    const key = this.positionKey(episode);
+    const local = await chrome.storage.local.get(key);
+    return (local && local[key]) || null;
+  }
+
+  async setPosition(episode, position) {
+    await chrome.storage.local.set({ [this.positionKey(episode)]: { ...position, updatedAt: Date.now() } });
+  }
+
+  async removePosition(episode) {
+    await chrome.storage.local.remove(this.positionKey(episode));
+  }
+
+  /**
+   * Drop the least recently updated positions beyond maxPositions
+   */
+  async prunePositions() {
+    return this.pruneLocal(this.positionPrefix, this.maxPositions);
+  }
+
+  fingerprintKey(series) {
+    return `${this.fingerprintPrefix}${series}`;
+  }
+
+  /**
+   * Intro fingerprints of recent episodes of one series: [{ episode, rate, frames, updatedAt }]
+   */
+  async getFingerprints(series) {
+    const key = this.fingerprintKey(series);
+    const local = await chrome.storage.local.get(key);
+    const prints = local && local[key]?.prints;
+    return Array.isArray(prints) ? prints : [];
+  }
+
+  async setFingerprints(series, prints) {
+    await chrome.storage.local.set({ [this.fingerprintKey(series)]: { prints, updatedAt: Date.now() } });
+    await this.pruneLocal(this.fingerprintPrefix, this.maxFingerprintSeries);
+  }
+
+  async removeFingerprints(series) {
+    await chrome.storage.local.remove(this.fingerprintKey(series));
+  }
+
+  /**
+   * Keep the `max` most recently updated local entries under one key prefix
+   */
+  async pruneLocal(prefix, max) {
+    const items = await chrome.storage.local.get(null);
+    const keys = Object.keys(items || {}).filter(key => key.startsWith(prefix));
+    if (keys.length <= max) return 0;
+
+    const stale = keys
+      .sort((a, b) => (items[b]?.updatedAt || 0) - (items[a]?.updatedAt || 0))
+      .slice(max);
+    await chrome.storage.local.remove(stale);
+    return stale.length;
+  }
+
+  fitsSyncItemQuota(key, value) {
+    try {
+      const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+      const size = new TextEncoder().encode(key + JSON.stringify(value)).length;
+      return size <= limit;
+    } catch (_) {
+      return true;
+    }
+  }
+
+  isQuotaError(error) {
+    return /QUOTA_BYTES|MAX_ITEMS|MAX_WRITE_OPERATIONS/i.test(error?.message || '');
+  }
+
+  /**
+   * Sweep legacy `animexin_<series>` keys from page localStorage into extension storage.
+   * Keys are removed once copied, so the sweep only does work the first time.
+   */
+  async migrateFromLocalStorage(storage) {
+    const migrated = [];
+    if (!storage) return migrated;
+
+    const legacyKeys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(this.legacyPrefix)) legacyKeys.push(key);
+    }
+
+    for (const legacyKey of legacyKeys) {
+      try {
+        const series = legacyKey.substring(this.legacyPrefix.length);
+        const parsed = JSON.parse(storage.getItem(legacyKey));
+        if (series && parsed && typeof parsed === 'object') {
+          const existing = await this.getSeries(series);
+          // Never clobber a newer profile that already reached extension storage
+          if (!existing || (existing.timestamp || 0) < (parsed.timestamp || 0)) {
+            await this.setSeries(series, parsed);
+            migrated.push(series);
+          }
+        }
+        storage.removeItem(legacyKey);
+      } catch (error) {
+        console.warn('Legacy settings migration skipped for', legacyKey, error?.message || error);
+      }
+    }
+
+    if (migrated.length > 0) {
+      console.log('Migrated legacy settings for series:', migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Subscribe to series changes from any context. Callback receives (series, settings|null).
+   * Returns an unsubscribe function.
+   */
+  onSeriesChanged(callback) {
+    this.listeners.add(callback);
+    this.bindChangeListener();
+    return () => this.listeners.delete(callback);
+  }
+
+  bindChangeListener() {
+    if (this.changeListenerBound || !chrome?.storage?.onChanged) return;
+    this.changeListenerBound = true;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' && areaName !== 'local') return;
+
+      Object.keys(changes).forEach((key) => {
+        if (key === this.globalKey) {
+          this.notifyGlobalListeners();
+          return;
+        }
+        if (!this.isSeriesKey(key)) return;
+        const series = key.substring(this.seriesPrefix.length);
+        // Re-read so a sync -> local overflow move resolves to the surviving copy
+        this.getSeries(series).then((settings) => {
+          this.listeners.forEach((listener) => {
+            try {
+              listener(series, settings);
+            } catch (error) {
+              console.error('Settings change listener failed:', error);
+            }
+          });
+        }).catch(() => {});
+      });
+    });
+  }
+
+  /**
+   * Subscribe to extension-wide preference changes. Callback receives the merged globals.
+   * Returns an unsubscribe function.
+   */
+  onGlobalChanged(callback) {
+    this.globalListeners.add(callback);
+    this.bindChangeListener();
+    return () => this.globalListeners.delete(callback);
+  }
+
+  notifyGlobalListeners() {
+    this.getGlobal().then((globals) => {
+      this.globalListeners.forEach((listener) => {
+        try {
+          listener(globals);
+        } catch (error) {
+          console.error('Global settings change listener failed:', error);
+        }
+      });
+    }).catch(() => {});
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * AnimeXin Player Controller - Time Specs
+ * Outro and segment times can be anchored three ways, so one setting fits
+ * episodes whose runtime varies by a minute:
+ * - `17:20`  seconds from the start, stored as a number (1040)
+ * - `-1:30`  seconds before the end, stored as '-90'
+ * - `92%`    share of the duration, stored as '92%'
+ *
+ * Relative specs only resolve once the duration is known.
+ * Shared by the content script and the popup.
+ */
+
+const TIME_SPEC_MAX_SECONDS = 86400;
+const TIME_SPEC_ANCHORS = ['start', 'percent', 'end'];
+
+class TimeSpec {
+  /**
+   * "17:20" / "1040" / "-1:30" / "92.5%" -> stored spec, or null when invalid
+   */
+  static parse(text) {
+    const value = String(text ?? '').trim().replace(/\s+/g, '');
+    if (!value) return null;
+
+    const percent = value.match(/^(\d{1,2}(?:\.\d)?)%$/);
+    if (percent) {
+      const share = Number(percent[1]);
+      return share > 0 && share < 100 ? `${share}%` : null;
+    }
+
+    const beforeEnd = value.startsWith('-');
+    const seconds = TimeSpec.parseClock(beforeEnd ? value.substring(1) : value);
+    if (seconds === null) return null;
+    if (!beforeEnd) return seconds;
+    return seconds > 0 ? `-${seconds}` : null;
+  }
+
+  /**
+   * "ss", "mm:ss" or "hh:mm:ss" -> seconds, or null
+   */
+  static parseClock(value) {
+    if (/^\d+$/.test(value)) {
+      const seconds = Number(value);
+      return seconds <= TIME_SPEC_MAX_SECONDS ? seconds : null;
+    }
+    if (!/^(\d{1,2}:)?\d{1,2}:\d{2}$/.test(value)) return null;
+
+    const parts = value.split(':').map(Number);
+    if (parts[parts.length - 1] >= 60) return null;
+    const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+    return seconds <= TIME_SPEC_MAX_SECONDS ? seconds : null;
+  }
+
+  /**
+   * Stored value (number or spec string) -> canonical stored spec, or null
+   */
+  static normalize(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value >= 0 && value <= TIME_SPEC_MAX_SECONDS ? Math.floor(value) : null;
+    }
+    return typeof value === 'string' ? TimeSpec.parse(value) : null;
+  }
+
+  static anchor(spec) {
+    if (typeof spec === 'number') return 'start';
+    return String(spec).endsWith('%') ? 'percent' : 'end';
+  }
+
+  static isRelative(spec) {
+    return TimeSpec.anchor(spec) !== 'start';
+  }
+
+  /**
+   * Seconds before the end for '-N', percentage for 'P%', seconds for numbers
+   */
+  static amount(spec) {
+    return typeof spec === 'number' ? spec : Math.abs(parseFloat(spec));
+  }
+
+  /**
+   * Spec -> seconds into a video of `duration`; null when a relative spec
+   * has no duration to anchor to yet
+   */
+  static resolve(spec, duration) {
+    const normalized = TimeSpec.normalize(spec);
+    if (normalized === null) return null;
+
+    const anchor = TimeSpec.anchor(normalized);
+    if (anchor === 'start') return normalized;
+    if (!(duration > 0)) return null;
+
+    const amount = TimeSpec.amount(normalized);
+    const seconds = anchor === 'end' ? duration - amount : duration * amount / 100;
+    return Math.max(0, Math.floor(seconds));
+  }
+
+  /**
+   * Sort order without a duration: start-anchored, then percentages, then
+   * end-anchored times (furthest from the end first)
+   */
+  static compare(a, b) {
+    const rank = TIME_SPEC_ANCHORS.indexOf(TimeSpec.anchor(a)) - TIME_SPEC_ANCHORS.indexOf(TimeSpec.anchor(b));
+    if (rank !== 0) return rank;
+    const diff = TimeSpec.amount(a) - TimeSpec.amount(b);
+    return TimeSpec.anchor(a) === 'end' ? -diff : diff;
+  }
+
+  /**
+   * Seconds -> spec on the given anchor, e.g. a captured playhead written as
+   * "-1:30" into a field that already counts from the end. Percentages cannot
+   * hold one-second precision, so they fall back to an absolute time.
+   */
+  static fromSeconds(seconds, anchor, duration) {
+    const time = Math.max(0, Math.floor(Number(seconds) || 0));
+    if (anchor !== 'end' || !(duration > 0) || time >= duration) return time;
+    return `-${Math.floor(duration) - time}`;
+  }
+
+  static formatClock(seconds) {
+    const s = Math.max(0, Math.floor(Number(seconds) || 0));
+    const m = Math.floor(s / 60);
+    return `${m}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Spec -> the text a user would type for it ("17:20", "-1:30", "92%")
+   */
+  static format(spec) {
+    const normalized = TimeSpec.normalize(spec);
+    if (normalized === null) return '';
+    switch (TimeSpec.anchor(normalized)) {
+      case 'percent':
+        return normalized;
+      case 'end':
+        return `-${TimeSpec.formatClock(TimeSpec.amount(normalized))}`;
+      default:
+        return TimeSpec.formatClock(normalized);
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * AnimeXin Player Controller - Volume Memory
+ * Each episode starts at the volume and mute state the viewer last chose instead of
+ * full volume:
+ * - changes the viewer makes in any player (`volume` events from the bridges and the
+ *   HTML5 player, flagged `user` while a click or key press is active) are remembered
+ *   as `volume: { level, muted }` in the global preferences, or per series with
+ *   `volumeScope: 'series'` (series without one fall back to the global state)
+ * - on each new episode or mirror the remembered level is restored; unmuting still
+ *   follows the Unmute automation switch, so turning it off never unmutes
+ *
+ * Shared by the content script (tracking, restoring) and the popup (preferences).
+ */
+
+const VOLUME_SCOPES = ['global', 'series'];
+const VOLUME_DEFAULT_SCOPE = 'global';
+
+class VolumeMemory {
+  constructor(controller) {
+    this.controller = controller;
+    this.scope = VOLUME_DEFAULT_SCOPE;
+    this.globalState = null;
+    this.pending = null;
+    this.saveTimer = null;
+    this.saveDelayMs = 1500;
+    this.restoredGeneration = null;
+    // Last level any player reported, for fades (sleep.js)
+    this.level = null;
+  }
+
+  static normalizeScope(scope) {
+    return VOLUME_SCOPES.includes(scope) ? scope : VOLUME_DEFAULT_SCOPE;
+  }
+
+  /**
+   * { level: 0-1, muted } or null
+   */
+  static normalizeState(state) {
+    if (!state || typeof state !== 'object') return null;
+    const level = Number(state.level);
+    if (state.level === null || state.level === '' || !Number.isFinite(level) || level < 0 || level > 1) return null;
+    return { level: Math.round(level * 100) / 100, muted: state.muted === true };
+  }
+
+  static describe(state) {
+    if (!state) return 'Nothing remembered yet';
+    return `${Math.round(state.level * 100)}%${state.muted ? ', muted' : ''}`;
+  }
+
+  applyGlobalSettings(globals) {
+    this.scope = VolumeMemory.normalizeScope(globals?.volumeScope);
+    this.globalState = VolumeMemory.normalizeState(globals?.volume);
+  }
+
+  /**
+   * State to restore for this page: the series one in series scope, else the global one
+   */
+  remembered() {
+    const series = this.scope === 'series' ? VolumeMemory.normalizeState(this.controller.seriesSettings?.volume) : null;
+    return series || this.globalState;
+  }
+
+  /**
+   * Apply the remembered state once per mirror; `force` repeats it on a user gesture,
+   * when browsers allow playback with sound
+   */
+  restore(force = false) {
+    const controller = this.controller;
+    const generation = controller.failover.generation;
+    if (!force && this.restoredGeneration === generation) return;
+    this.restoredGeneration = generation;
+
+    const state = this.remembered();
+    const unmute = controller.isAutomated('unmute');
+    if (state?.muted) {
+      controller.sendPlayerCommand('set_muted', { muted: true });
+    } else if (unmute) {
+      // Without a remembered level the player keeps its own
+      controller.sendPlayerCommand('unmute', state ? { volume: state.level } : null);
+    } else if (state) {
+      controller.sendPlayerCommand('set_volume', { volume: state.level });
+    }
+    console.log(`Audio: ${state ? `restored ${VolumeMemory.describe(state)}` : 'nothing remembered'}${unmute ? '' : ', never unmuted'} via`, controller.playerAdapter?.id);
+  }
+
+  /**
+   * Remember a volume change the viewer made; ignores host autoplay muting, mute
+   * segments and the sleep timer fade
+   */
+  observe(data) {
+    if (Number.isFinite(data?.volume)) this.level = Math.max(0, Math.min(1, data.volume));
+    if (!data || data.user !== true || this.controller.mutedSegmentKey || this.controller.sleepTimer.fading) return;
+    const state = VolumeMemory.normalizeState({ level: data.volume, muted: data.muted });
+    if (!state) return;
+
+    // Dragging a volume slider fires many events; store the last one
+    this.pending = state;
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+  }
+
+  async save() {
+    const controller = this.controller;
+    const state = this.pending;
+    this.pending = null;
+    this.saveTimer = null;
+    if (!state) return;
+
+    try {
+      if (this.scope === 'series' && controller.currentSeries !== 'unknown') {
+        controller.seriesSettings = await controller.settingsStore.updateSeries(controller.currentSeries, { volume: state });
+      } else {
+        await controller.settingsStore.updateGlobal({ volume: state });
+        this.globalState = state;
+      }
+    } catch (error) {
+      controller.errorReporter.reportError('Volume saving failed', error, {
+        series: controller.currentSeries
+      });
+    }
+  }
+}